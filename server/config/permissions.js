@@ -0,0 +1,46 @@
+// Roles and the capabilities they grant. Routes check capabilities, never role names,
+// so adding a role only means adding a line here.
+const CAPABILITIES = {
+    APPLY: 'apply',                         // use the student routes: profile, applications, offers
+    MANAGE_COMPANIES: 'manage-companies',   // companies, postings, rounds
+    MANAGE_USERS: 'manage-users',           // bulk registration, promotions, unlocks, login history
+    VIEW_APPLICATIONS: 'view-applications', // applicant lists, exports, analytics
+    VIEW_RESUMES: 'view-resumes',           // resume downloads
+    CHANGE_STATUS: 'change-status',         // application status, shortlists, offers, round results
+    ASSIGN_ROLES: 'assign-roles',           // change anyone's role
+    VIEW_AUDIT_LOG: 'view-audit-log',       // review the audit log of staff actions
+    RECRUIT: 'recruit'                      // review and decide on applicants of one's own company
+};
+
+const C = CAPABILITIES;
+
+const ROLE_CAPABILITIES = {
+    admin: Object.values(C).filter(c => c !== C.APPLY),
+    placement_officer: [C.MANAGE_COMPANIES, C.MANAGE_USERS, C.VIEW_APPLICATIONS, C.VIEW_RESUMES, C.CHANGE_STATUS, C.VIEW_AUDIT_LOG],
+    // Student coordinators are students who help run drives
+    student_coordinator: [C.APPLY, C.VIEW_APPLICATIONS, C.VIEW_RESUMES, C.CHANGE_STATUS],
+    student: [C.APPLY],
+    // Company HR; every recruiter query is scoped to Student.company
+    recruiter: [C.RECRUIT],
+    // Legacy all-powerful coordinator role; see scripts/migrate_roles.js
+    coordinator: [C.MANAGE_COMPANIES, C.MANAGE_USERS, C.VIEW_APPLICATIONS, C.VIEW_RESUMES, C.CHANGE_STATUS, C.VIEW_AUDIT_LOG]
+};
+
+const ROLES = Object.keys(ROLE_CAPABILITIES);
+
+// Roles that can reach the coordinator routes at all
+const STAFF_ROLES = ROLES.filter(role => ROLE_CAPABILITIES[role].some(c => c !== C.APPLY && c !== C.RECRUIT));
+
+// Roles whose holders take part in placements as candidates
+const APPLICANT_ROLES = ROLES.filter(role => ROLE_CAPABILITIES[role].includes(C.APPLY));
+
+const hasCapability = (role, capability) => (ROLE_CAPABILITIES[role] || []).includes(capability);
+
+module.exports = {
+    CAPABILITIES,
+    ROLE_CAPABILITIES,
+    ROLES,
+    STAFF_ROLES,
+    APPLICANT_ROLES,
+    hasCapability
+};
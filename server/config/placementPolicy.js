@@ -0,0 +1,13 @@
+// Institute placement policy, chosen with PLACEMENT_POLICY:
+// - open:        accepted offers never block further applications
+// - one_offer:   one accepted offer ends the student's placement season (default)
+// - higher_tier: after accepting an offer a student may only apply to / accept offers
+//                from companies of a strictly higher tier (Company.tier)
+const PLACEMENT_POLICIES = ['open', 'one_offer', 'higher_tier'];
+
+const placementPolicy = (process.env.PLACEMENT_POLICY || 'one_offer').trim().toLowerCase();
+if (!PLACEMENT_POLICIES.includes(placementPolicy)) {
+    throw new Error(`Invalid PLACEMENT_POLICY "${placementPolicy}". Must be one of: ${PLACEMENT_POLICIES.join(', ')}`);
+}
+
+module.exports = { PLACEMENT_POLICIES, placementPolicy };
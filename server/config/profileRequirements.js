@@ -0,0 +1,30 @@
+// What a complete student profile needs, chosen with PROFILE_REQUIRED_FIELDS (comma-separated
+// keys of PROFILE_ITEMS). Students can save partial profiles at any time; only a complete one
+// may apply to postings.
+const PROFILE_ITEMS = {
+    rollNo: 'Roll number',
+    semester: 'Semester',
+    course: 'Course',
+    graduationYear: 'Graduation year',
+    cgpa: 'CGPA',
+    tenthPercentage: '10th percentage',
+    twelfthPercentage: '12th percentage',
+    skills: 'Skills',
+    phone: 'Phone number',
+    linkedin: 'LinkedIn profile',
+    github: 'GitHub profile',
+    photo: 'Photo',
+    resume: 'Resume'
+};
+
+const DEFAULT_REQUIRED_FIELDS = ['rollNo', 'semester', 'course', 'graduationYear', 'resume'];
+
+const requiredProfileFields = process.env.PROFILE_REQUIRED_FIELDS
+    ? process.env.PROFILE_REQUIRED_FIELDS.split(',').map(f => f.trim()).filter(Boolean)
+    : DEFAULT_REQUIRED_FIELDS;
+const unknownFields = requiredProfileFields.filter(f => !PROFILE_ITEMS[f]);
+if (unknownFields.length) {
+    throw new Error(`Invalid PROFILE_REQUIRED_FIELDS "${unknownFields.join(', ')}". Must be among: ${Object.keys(PROFILE_ITEMS).join(', ')}`);
+}
+
+module.exports = { PROFILE_ITEMS, requiredProfileFields };
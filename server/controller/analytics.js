@@ -0,0 +1,227 @@
+const Application = require('../models/application');
+const Student = require('../models/students');
+const Offer = require('../models/offer');
+const { APPLICATION_STATUSES } = require('../utils/applicationStatus');
+const { APPLICANT_ROLES } = require('../config/permissions');
+
+// Parse ?graduationYear=&from=&to= shared by every statistic; returns { filters } or { error }
+const parseStatsFilters = (query) => {
+    const filters = {};
+
+    if (query.graduationYear) {
+        const year = parseInt(query.graduationYear, 10);
+        if (isNaN(year)) return { error: 'graduationYear must be a valid year' };
+        filters.graduationYear = year;
+    }
+
+    for (const key of ['from', 'to']) {
+        if (!query[key]) continue;
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+        filters[key] = date;
+    }
+    if (filters.from && filters.to && filters.to < filters.from) {
+        return { error: 'to must be after from' };
+    }
+
+    return { filters };
+};
+
+const dateRangeMatch = (field, { from, to }) => {
+    if (!from && !to) return {};
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return { [field]: range };
+};
+
+// Stages restricting documents with a userId to students of one graduation year
+const studentYearStages = (graduationYear) => graduationYear === undefined ? [] : [
+    { $lookup: { from: 'students', localField: 'userId', foreignField: '_id', as: 'student' } },
+    { $match: { 'student.details.graduationYear': graduationYear } }
+];
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round2 = (n) => (n === null || n === undefined ? null : Math.round(n * 100) / 100);
+
+// Applications per company with counts per status and the share that reached each stage
+const applicationsPerCompany = async (filters) => {
+    // An application "reached" a status if it is there now or passed through it
+    const reached = (status) => ({
+        $sum: {
+            $cond: [
+                { $or: [{ $eq: ['$status', status] }, { $in: [status, { $ifNull: ['$statusHistory.to', []] }] }] },
+                1,
+                0
+            ]
+        }
+    });
+
+    const rows = await Application.aggregate([
+        { $match: dateRangeMatch('createdAt', filters) },
+        ...studentYearStages(filters.graduationYear),
+        {
+            $group: {
+                _id: '$companyId',
+                total: { $sum: 1 },
+                ...Object.fromEntries(APPLICATION_STATUSES.map(s => [s, { $sum: { $cond: [{ $eq: ['$status', s] }, 1, 0] } }])),
+                reachedInterviewing: reached('interviewing'),
+                reachedOffered: reached('offered')
+            }
+        },
+        { $lookup: { from: 'companies', localField: '_id', foreignField: '_id', as: 'company' } },
+        { $unwind: { path: '$company', preserveNullAndEmptyArrays: true } },
+        { $sort: { total: -1 } }
+    ]);
+
+    return rows.map(r => ({
+        companyId: r._id,
+        companyName: r.company?.name || null,
+        totalApplications: r.total,
+        byStatus: Object.fromEntries(APPLICATION_STATUSES.map(s => [s, r[s]])),
+        conversion: {
+            toInterviewing: round2(r.reachedInterviewing / r.total),
+            toOffered: round2(r.reachedOffered / r.total)
+        }
+    }));
+};
+
+// Placed (has an accepted offer) versus unplaced students per course and graduation year
+const placementByCohort = async (filters) => {
+    const match = { role: { $in: APPLICANT_ROLES } };
+    if (filters.graduationYear !== undefined) match['details.graduationYear'] = filters.graduationYear;
+
+    const rows = await Student.aggregate([
+        { $match: match },
+        {
+            $lookup: {
+                from: 'offers',
+                let: { studentId: '$_id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ['$userId', '$$studentId'] },
+                            status: 'accepted',
+                            ...dateRangeMatch('createdAt', filters)
+                        }
+                    },
+                    { $limit: 1 },
+                    { $project: { _id: 1 } }
+                ],
+                as: 'acceptedOffers'
+            }
+        },
+        {
+            $group: {
+                _id: { course: '$details.course', graduationYear: '$details.graduationYear' },
+                students: { $sum: 1 },
+                placed: { $sum: { $cond: [{ $gt: [{ $size: '$acceptedOffers' }, 0] }, 1, 0] } }
+            }
+        },
+        { $sort: { '_id.graduationYear': -1, '_id.course': 1 } }
+    ]);
+
+    return rows.map(r => ({
+        course: r._id.course || null,
+        graduationYear: r._id.graduationYear || null,
+        students: r.students,
+        placed: r.placed,
+        unplaced: r.students - r.placed,
+        placementRate: round2(r.placed / r.students)
+    }));
+};
+
+// Average and median CTC and stipend of accepted offers
+const compensationStats = async (filters) => {
+    const [row] = await Offer.aggregate([
+        { $match: { status: 'accepted', ...dateRangeMatch('createdAt', filters) } },
+        ...studentYearStages(filters.graduationYear),
+        {
+            $group: {
+                _id: null,
+                offers: { $sum: 1 },
+                avgCtc: { $avg: '$ctc' },
+                ctcs: { $push: '$ctc' },
+                avgStipend: { $avg: '$stipend' },
+                stipends: { $push: '$stipend' }
+            }
+        },
+        // Only the numeric values are returned, for the median
+        {
+            $project: {
+                offers: 1,
+                avgCtc: 1,
+                avgStipend: 1,
+                ctcs: { $filter: { input: '$ctcs', cond: { $isNumber: '$$this' } } },
+                stipends: { $filter: { input: '$stipends', cond: { $isNumber: '$$this' } } }
+            }
+        }
+    ]);
+
+    if (!row) {
+        return { acceptedOffers: 0, ctc: { average: null, median: null }, stipend: { average: null, median: null } };
+    }
+    return {
+        acceptedOffers: row.offers,
+        ctc: { average: round2(row.avgCtc), median: median(row.ctcs), count: row.ctcs.length },
+        stipend: { average: round2(row.avgStipend), median: median(row.stipends), count: row.stipends.length }
+    };
+};
+
+// Students whose profile is not complete yet
+const incompleteProfiles = async (filters) => {
+    const match = { role: { $in: APPLICANT_ROLES }, profileIsCompleted: { $ne: true } };
+    if (filters.graduationYear !== undefined) match['details.graduationYear'] = filters.graduationYear;
+    const [row] = await Student.aggregate([{ $match: match }, { $count: 'count' }]);
+    return row?.count || 0;
+};
+
+// Placement statistics for coordinators (?graduationYear=&from=&to=)
+const getPlacementStats = async (req, res) => {
+    try {
+        const { filters, error } = parseStatsFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const [companies, cohorts, compensation, incompleteProfileCount] = await Promise.all([
+            applicationsPerCompany(filters),
+            placementByCohort(filters),
+            compensationStats(filters),
+            incompleteProfiles(filters)
+        ]);
+
+        const totals = cohorts.reduce((acc, c) => {
+            acc.students += c.students;
+            acc.placed += c.placed;
+            return acc;
+        }, { students: 0, placed: 0 });
+
+        return res.status(200).json({
+            message: 'Placement statistics retrieved successfully',
+            filters,
+            summary: {
+                students: totals.students,
+                placed: totals.placed,
+                unplaced: totals.students - totals.placed,
+                placementRate: totals.students ? round2(totals.placed / totals.students) : null,
+                incompleteProfiles: incompleteProfileCount,
+                totalApplications: companies.reduce((sum, c) => sum + c.totalApplications, 0)
+            },
+            applicationsPerCompany: companies,
+            placementByCohort: cohorts,
+            compensation
+        });
+    } catch (error) {
+        console.error('Error computing placement statistics:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = { getPlacementStats };
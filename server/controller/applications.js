@@ -0,0 +1,375 @@
+const fs = require('fs/promises');
+const mongoose = require('mongoose');
+const Application = require('../models/application');
+const Company = require('../models/companies');
+const {
+    applyStatusChange,
+    isOwnApplication,
+    OWN_APPLICATION_ERROR,
+    COORDINATOR_STATUSES,
+    RECRUITER_STATUSES
+} = require('../utils/applicationStatus');
+const {
+    SHEET_FORMATS,
+    EMAIL_HEADERS,
+    ROLL_NO_HEADERS,
+    sendSheet,
+    readUploadedRows,
+    pickField
+} = require('../utils/spreadsheet');
+const { ACCEPTED_OFFER_ERROR, findOpenOffers, saveStatusChanges } = require('../utils/offers');
+const { buildApplicantPipeline } = require('../utils/applicants');
+const { resumeLink } = require('../utils/resumes');
+
+// These handlers serve both coordinators (company from the URL) and recruiters, who are
+// confined to req.companyScope (set by requireRecruiter) whatever the URL says
+const isScoped = (req) => !!req.companyScope;
+const settableStatuses = (req) => isScoped(req) ? RECRUITER_STATUSES : COORDINATOR_STATUSES;
+
+// Find one application, limited to the recruiter's company when scoped
+const findScopedApplication = (req, id) => Application.findOne(
+    isScoped(req) ? { _id: id, companyId: req.companyScope } : { _id: id }
+);
+
+// Shared lookup for the applicant routes: 404s when the company is missing
+const findCompanyOr404 = async (req, res) => {
+    const id = isScoped(req) ? req.companyScope : req.params.id;
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid company ID format' });
+        return null;
+    }
+    const company = await Company.findById(id);
+    if (!company) {
+        res.status(404).json({ error: 'Company not found' });
+        return null;
+    }
+    return company;
+};
+
+// Move a single application to a new status (coordinators, or recruiters for their company).
+// Moving an offered application on revokes its pending offer; an accepted offer blocks it.
+const updateApplicationStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, remark } = req.body;
+
+        if (!status) {
+            return res.status(400).json({ error: 'Status is required' });
+        }
+        const allowedStatuses = settableStatuses(req);
+        if (!allowedStatuses.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${allowedStatuses.join(', ')}` });
+        }
+
+        const application = await findScopedApplication(req, id);
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+        if (isOwnApplication(application, req.user.id)) {
+            return res.status(403).json({ error: OWN_APPLICATION_ERROR });
+        }
+
+        const previousStatus = application.status;
+        const openOffers = previousStatus === 'offered' ? await findOpenOffers([application._id]) : new Map();
+        if (openOffers.get(application._id.toString())?.status === 'accepted') {
+            return res.status(400).json({ error: ACCEPTED_OFFER_ERROR });
+        }
+        const transitionError = applyStatusChange(application, status, {
+            changedBy: req.user.id,
+            remark
+        });
+        if (transitionError) {
+            return res.status(400).json({ error: transitionError });
+        }
+
+        await saveStatusChanges([application], openOffers);
+
+        return res.status(200).json({
+            message: 'Application status updated successfully',
+            application: {
+                id: application._id,
+                userId: application.userId,
+                companyId: application.companyId,
+                previousStatus,
+                status: application.status,
+                statusHistory: application.statusHistory
+            }
+        });
+    } catch (error) {
+        console.error('Error updating application status:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid application ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Get the status timeline of a single application. Recruiters see who made each change by
+// name and role only, not staff email addresses.
+const getApplicationHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const application = await findScopedApplication(req, id)
+            .select('userId companyId status statusHistory createdAt')
+            .populate('statusHistory.changedBy', isScoped(req) ? 'name role' : 'name email');
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        return res.status(200).json({
+            message: 'Application history retrieved successfully',
+            application
+        });
+    } catch (error) {
+        console.error('Error fetching application history:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid application ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// List a company's applicants with filters, sorting and pagination
+const getCompanyApplications = async (req, res) => {
+    try {
+        const company = await findCompanyOr404(req, res);
+        if (!company) return;
+
+        const { pipeline, error } = buildApplicantPipeline(company._id, req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const [result] = await Application.aggregate([
+            ...pipeline,
+            {
+                $facet: {
+                    applications: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+        const total = result.total[0]?.count || 0;
+
+        return res.status(200).json({
+            message: 'Applications retrieved successfully',
+            company: { id: company._id, name: company.name },
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            },
+            // Photos are opened through the checked and logged link route, like resumes
+            applications: result.applications.map(a => ({ ...a, photoUrl: resumeLink(a.photo) }))
+        });
+    } catch (error) {
+        console.error('Error fetching company applications:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Export a company's applicants (same filters and sorting as the listing) as CSV or XLSX
+const exportCompanyApplications = async (req, res) => {
+    try {
+        const format = (req.query.format || 'csv').toString().toLowerCase();
+        if (!SHEET_FORMATS[format]) {
+            return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(SHEET_FORMATS).join(', ')}` });
+        }
+
+        const company = await findCompanyOr404(req, res);
+        if (!company) return;
+
+        const { pipeline, error } = buildApplicantPipeline(company._id, req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const applications = await Application.aggregate(pipeline);
+        // Sheets get forwarded, so they carry no resume links; the files come from the resume
+        // zip or resume book downloads, which check access and log it
+        const rows = applications.map(a => ({
+            'Name': a.name,
+            'Email': a.email,
+            'Roll No': a.rollNo || '',
+            'Course': a.course || '',
+            'Graduation Year': a.graduationYear || '',
+            'Role': a.postingTitle || '',
+            'Status': a.status,
+            'Applied At': a.appliedAt ? new Date(a.appliedAt).toISOString() : '',
+            'Resume': a.resume ? 'Yes' : 'No'
+        }));
+
+        return sendSheet(res, rows, {
+            format,
+            filename: `${company.name.replace(/\s+/g, '_')}_applicants`,
+            sheetName: 'Applicants'
+        });
+    } catch (error) {
+        console.error('Error exporting company applications:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Move a recruiter's shortlist (CSV/Excel of roll numbers or emails) to a target status.
+// Body: status, remark, postingId (needed when students applied to several postings), dryRun.
+// Every row is reported back; with dryRun=true nothing is saved. Offers are handled as in
+// updateApplicationStatus.
+const bulkUpdateApplicationStatus = async (req, res) => {
+    const filePath = req.file?.path;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { status, remark, postingId } = req.body;
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun).toLowerCase() === 'true';
+
+        const allowedStatuses = settableStatuses(req);
+        if (!status || !allowedStatuses.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${allowedStatuses.join(', ')}` });
+        }
+        if (postingId && !mongoose.isValidObjectId(postingId)) {
+            return res.status(400).json({ error: 'Invalid job posting ID format' });
+        }
+
+        const company = await findCompanyOr404(req, res);
+        if (!company) return;
+
+        const rows = await readUploadedRows(filePath, req.file.originalname);
+        if (!rows) {
+            return res.status(400).json({ error: 'Unsupported file format. Please upload CSV or Excel file.' });
+        }
+        if (!rows.length) {
+            return res.status(400).json({ error: 'The uploaded file has no rows' });
+        }
+
+        // Index this company's applications by student email and roll number
+        const filter = { companyId: company._id };
+        if (postingId) filter.postingId = postingId;
+        const applications = await Application.find(filter).populate('userId', 'name email details.rollNo');
+
+        const byEmail = new Map();
+        const byRollNo = new Map();
+        const addTo = (map, key, application) => {
+            if (!key) return;
+            const k = key.toString().trim().toLowerCase();
+            if (!map.has(k)) map.set(k, []);
+            map.get(k).push(application);
+        };
+        for (const application of applications) {
+            if (!application.userId) continue;
+            addTo(byEmail, application.userId.email, application);
+            addTo(byRollNo, application.userId.details?.rollNo, application);
+        }
+        const openOffers = await findOpenOffers(applications.filter(a => a.status === 'offered').map(a => a._id));
+
+        const report = [];
+        const toSave = [];
+        const seen = new Set();
+
+        rows.forEach((raw, i) => {
+            const row = i + 1;
+            const email = pickField(raw, EMAIL_HEADERS);
+            const rollNo = pickField(raw, ROLL_NO_HEADERS);
+            const identifier = rollNo || email;
+
+            if (!identifier) {
+                report.push({ row, result: 'skipped', message: 'Row has no roll number or email' });
+                return;
+            }
+
+            const matches = (rollNo && byRollNo.get(rollNo.toLowerCase())) ||
+                (email && byEmail.get(email.toLowerCase())) || [];
+
+            if (matches.length === 0) {
+                report.push({ row, identifier, result: 'not_found', message: 'No application from this student for this company' });
+                return;
+            }
+            if (matches.length > 1) {
+                report.push({
+                    row,
+                    identifier,
+                    result: 'ambiguous',
+                    message: 'Student applied to several postings of this company; pass postingId'
+                });
+                return;
+            }
+
+            const application = matches[0];
+            const key = application._id.toString();
+            if (seen.has(key)) {
+                report.push({ row, identifier, applicationId: application._id, result: 'duplicate', message: 'Application already listed in an earlier row' });
+                return;
+            }
+            seen.add(key);
+
+            if (isOwnApplication(application, req.user.id)) {
+                report.push({ row, identifier, applicationId: application._id, result: 'forbidden', message: OWN_APPLICATION_ERROR });
+                return;
+            }
+
+            const from = application.status;
+            if (openOffers.get(key)?.status === 'accepted') {
+                report.push({ row, identifier, applicationId: application._id, from, result: 'invalid_transition', message: ACCEPTED_OFFER_ERROR });
+                return;
+            }
+            const transitionError = applyStatusChange(application, status, {
+                changedBy: req.user.id,
+                remark
+            });
+            if (transitionError) {
+                report.push({ row, identifier, applicationId: application._id, from, result: 'invalid_transition', message: transitionError });
+                return;
+            }
+
+            toSave.push(application);
+            report.push({
+                row,
+                identifier,
+                applicationId: application._id,
+                name: application.userId.name,
+                from,
+                to: status,
+                result: dryRun ? 'will_update' : 'updated'
+            });
+        });
+
+        if (!dryRun) {
+            await saveStatusChanges(toSave, openOffers);
+        }
+
+        return res.status(200).json({
+            message: dryRun ? 'Dry run completed; no changes were saved' : 'Bulk status update completed',
+            dryRun,
+            company: { id: company._id, name: company.name },
+            targetStatus: status,
+            summary: {
+                rows: rows.length,
+                [dryRun ? 'toUpdate' : 'updated']: toSave.length,
+                skipped: rows.length - toSave.length
+            },
+            report
+        });
+    } catch (error) {
+        console.error('Error bulk updating application status:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        // Clean up uploaded file
+        if (filePath) {
+            try { await fs.unlink(filePath); } catch {}
+        }
+    }
+};
+
+module.exports = {
+    updateApplicationStatus,
+    getApplicationHistory,
+    getCompanyApplications,
+    exportCompanyApplications,
+    bulkUpdateApplicationStatus
+};
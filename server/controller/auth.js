@@ -1,24 +1,35 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const Student = require('../models/students');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  signPasswordChangeToken,
+  hashToken
+} = require('../utils/tokens');
+const { checkPasswordStrength } = require('../utils/passwordPolicy');
+const { isProfileComplete } = require('../utils/profile');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const LoginEvent = require('../models/loginEvent');
+const Session = require('../models/session');
+const PasswordReset = require('../models/passwordReset');
+const { sendMail } = require('../utils/mailer');
+const crypto = require('crypto');
 
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  console.error('FATAL: JWT_SECRET not set in env');
-  throw new Error('Missing JWT_SECRET');
-}
-
-const checkProfileCompletion = (student) => {
-  if (!student) return false;
-  if (student.profileIsCompleted) return true;
-  // simple heuristic: defaultResume or at least rollNo present
-  if (student.defaultResume) return true;
-  if (student.details && student.details.rollNo) return true;
-  return false;
-};
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
 
-const generateToken = (id, role, isProfileCompleted) => {
-  return jwt.sign({ id, role, isProfileCompleted }, JWT_SECRET, { expiresIn: '7d' });
+// Record a login attempt for coordinators to review; never blocks or fails the login itself
+const logLoginEvent = (req, { user, email, success, reason = null }) => {
+  LoginEvent.create({
+    userId: user?._id,
+    email,
+    success,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  }).catch(err => console.error('Failed to record login event:', err));
 };
 
 const loginStudent = async (req, res) => {
@@ -29,28 +40,74 @@ const loginStudent = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Email and password are required' });
     }
 
-    const student = await Student.findOne({ email: email.toLowerCase() });
+    const normalizedEmail = email.toString().trim().toLowerCase();
+
+    // Unknown emails are throttled exactly like real accounts so lockouts don't reveal which exist
+    const throttle = await checkLoginAllowed(normalizedEmail, req.ip);
+    if (!throttle.allowed) {
+      logLoginEvent(req, { email: normalizedEmail, success: false, reason: throttle.reason });
+      const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+      res.set('Retry-After', retryAfter.toString());
+      return res.status(429).json({
+        success: false,
+        message: throttle.reason === 'locked'
+          ? `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+          : `Too many failed login attempts. Try again in ${retryAfter} second(s).`,
+        retryAfter
+      });
+    }
+
+    const student = await Student.findOne({ email: normalizedEmail });
     if (!student) {
+      await recordLoginFailure(normalizedEmail, req.ip);
+      logLoginEvent(req, { email: normalizedEmail, success: false, reason: 'unknown_account' });
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
-    console.log('Found student:', { id: student._id, email: student.email });
     const isPasswordValid = await bcrypt.compare(password.toString(), student.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(normalizedEmail, req.ip);
+      logLoginEvent(req, { user: student, email: normalizedEmail, success: false, reason: 'invalid_password' });
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
-    const isProfileCompleted = checkProfileCompletion(student);
+    await recordLoginSuccess(normalizedEmail);
+
+    // The completeness rule is configurable, so re-check the stored flag at every login
+    const isProfileCompleted = isProfileComplete(student);
     if (student.profileIsCompleted !== isProfileCompleted) {
       student.profileIsCompleted = isProfileCompleted;
       await student.save();
     }
 
-    const token = generateToken(student._id, student.role, isProfileCompleted);
+    // Accounts with an initial (bulk-registered) password only get a token for changing it
+    if (student.mustChangePassword) {
+      logLoginEvent(req, { user: student, email: normalizedEmail, success: true, reason: 'password_change_required' });
+      return res.json({
+        success: true,
+        message: 'You must change your password before continuing',
+        data: {
+          passwordChangeRequired: true,
+          token: signPasswordChangeToken(student),
+          user: {
+            id: student._id,
+            name: student.name,
+            email: student.email,
+            role: student.role
+          }
+        }
+      });
+    }
+
+    const tokens = await issueSession(student, req);
+    logLoginEvent(req, { user: student, email: normalizedEmail, success: true });
 
     return res.json({
       success: true,
       data: {
-        token,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        accessTokenExpiresIn: tokens.accessTokenExpiresIn,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
         user: {
           id: student._id,
           name: student.name,
@@ -66,4 +123,236 @@ const loginStudent = async (req, res) => {
   }
 };
 
-module.exports = { loginStudent };
\ No newline at end of file
+// Exchange a refresh token for a new access/refresh token pair (the old refresh token stops working)
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presented } = req.body;
+    if (!presented) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const { tokens, user, error } = await rotateRefreshToken(presented.toString(), req);
+    if (error) {
+      return res.status(401).json({ success: false, message: error });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        accessTokenExpiresIn: tokens.accessTokenExpiresIn,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          profileIsCompleted: !!user.profileIsCompleted
+        }
+      }
+    });
+  } catch (err) {
+    console.error('refreshToken error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Log out: revoke the session of the given refresh token (or of the bearer access token).
+// With { allDevices: true } every session of the user is revoked, which needs a refresh token
+// that is still valid or an access token that has not expired.
+const logout = async (req, res) => {
+  try {
+    const { refreshToken: presented, allDevices } = req.body || {};
+
+    let session = null;
+    // Ending every session needs a live credential, not just one that identifies a session
+    let credentialIsLive = false;
+    if (presented) {
+      session = await Session.findOne({ refreshTokenHash: hashToken(presented.toString()) });
+      credentialIsLive = !!session && !session.revokedAt && session.expiresAt > new Date();
+    } else {
+      const authHeader = req.header('Authorization');
+      if (authHeader && authHeader.startsWith('Bearer ')) {
+        const accessToken = authHeader.replace('Bearer ', '');
+        try {
+          // An expired access token is still good enough to identify the session to end
+          const decoded = verifyAccessToken(accessToken, { ignoreExpiration: true });
+          session = decoded.sid ? await Session.findById(decoded.sid) : null;
+          verifyAccessToken(accessToken);
+          credentialIsLive = !!session && !session.revokedAt;
+        } catch {
+          credentialIsLive = false;
+        }
+      }
+    }
+
+    if (!session) {
+      return res.status(400).json({ success: false, message: 'A valid refresh token or access token is required' });
+    }
+
+    if (allDevices === true || allDevices === 'true') {
+      if (!credentialIsLive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Logging out of all devices needs an unexpired access token or a valid refresh token'
+        });
+      }
+      await revokeUserSessions(session.userId, 'logout (all devices)');
+    } else {
+      await revokeSession(session._id, 'logout');
+    }
+
+    return res.json({ success: true, message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('logout error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Issue a single-use, time-limited reset link for the account with `email`, if there is one,
+// and mail it
+const sendPasswordResetLink = async (email, requestedByIp) => {
+  const student = await Student.findOne({ email });
+  if (!student) return;
+
+  // Only the most recent link works
+  await PasswordReset.updateMany(
+    { userId: student._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordReset.create({
+    userId: student._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+    requestedByIp
+  });
+
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const resetLink = `${appUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: student.email,
+    subject: 'Reset your placement portal password',
+    text: `Hi ${student.name},\n\n` +
+      `Use the link below to set a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+      `${resetLink}\n\n` +
+      `If you did not ask for a password reset, you can ignore this email.`
+  });
+};
+
+// Start a password reset: mail a single-use, time-limited link to the account's email.
+// Always answers the same way, and before looking the email up, so neither the response nor
+// its timing reveals whether the account exists.
+const forgotPassword = async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ success: false, message: 'Email is required' });
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  });
+
+  // Lookup, token and delivery problems are only logged
+  sendPasswordResetLink(email.toString().trim().toLowerCase(), req.ip)
+    .catch(err => console.error('forgotPassword error:', err));
+};
+
+// Finish a password reset with the token from the emailed link
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Token and new password are required' });
+    }
+    const tokenFilter = { tokenHash: hashToken(token.toString()), usedAt: null, expiresAt: { $gt: new Date() } };
+    const pending = await PasswordReset.findOne(tokenFilter);
+    const student = pending && await Student.findById(pending.userId);
+    if (!student) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    const failures = checkPasswordStrength(password, student);
+    if (failures.length) {
+      return res.status(400).json({ success: false, message: 'Password is too weak', reasons: failures });
+    }
+
+    // Claim the token atomically so it can only ever be used once
+    const reset = await PasswordReset.findOneAndUpdate(tokenFilter, { $set: { usedAt: new Date() } });
+    if (!reset) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    student.password = await bcrypt.hash(password.toString(), 10);
+    student.mustChangePassword = false;
+    await student.save();
+
+    // Log out everywhere: whoever knew the old password must not stay signed in
+    await revokeUserSessions(student._id, 'password reset');
+
+    return res.json({ success: true, message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    console.error('resetPassword error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Change the password of the logged-in account. Also the only thing the limited token issued
+// to accounts with an initial password can do; those don't need to repeat the current password.
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword) {
+      return res.status(400).json({ success: false, message: 'New password is required' });
+    }
+
+    const student = await Student.findById(req.user.id);
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!student.mustChangePassword) {
+      if (!currentPassword || !(await bcrypt.compare(currentPassword.toString(), student.password))) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+      }
+    }
+
+    if (await bcrypt.compare(newPassword.toString(), student.password)) {
+      return res.status(400).json({ success: false, message: 'New password must be different from the current one' });
+    }
+
+    const failures = checkPasswordStrength(newPassword, student);
+    if (failures.length) {
+      return res.status(400).json({ success: false, message: 'Password is too weak', reasons: failures });
+    }
+
+    student.password = await bcrypt.hash(newPassword.toString(), 10);
+    student.mustChangePassword = false;
+    await student.save();
+
+    // Every other session ends; this device gets a fresh full session
+    await revokeUserSessions(student._id, 'password changed');
+    student.tokenVersion = (student.tokenVersion || 0) + 1;
+    const tokens = await issueSession(student, req);
+
+    return res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        accessTokenExpiresIn: tokens.accessTokenExpiresIn,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+      }
+    });
+  } catch (err) {
+    console.error('changePassword error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = { loginStudent, refreshToken, logout, forgotPassword, resetPassword, changePassword };
\ No newline at end of file
@@ -1,127 +1,281 @@
 const Student = require('../models/students');
 const Company = require('../models/companies');
 const fs = require('fs');
-const csv = require('csv-parser');
-const xlsx = require('xlsx');
+const { runInTransaction } = require('../utils/transactions');
 const Application = require('../models/application');
-const cloudinary = require('../utils/cloudinary');
-const { getCloudinaryId } = require('../utils/helperPublicId');
+const JobPosting = require('../models/jobPosting');
+const Round = require('../models/round');
+const { destroyUnsharedResumes } = require('../utils/resumes');
+const { safeName, loadBundleApplicants, streamResumeZip } = require('../utils/resumeBundle');
+const { buildResumeBook } = require('../utils/resumeBook');
+const { logBundleAccess } = require('../utils/resumeAccess');
+const { SHEET_FORMATS, buildSheetBuffer, readUploadedRows } = require('../utils/spreadsheet');
+const { normalizeStudentRow, validateStudentRow, diffStudentDetails } = require('../utils/studentImport');
+const { generateRandomPassword } = require('../utils/passwordPolicy');
+const { revokeUserSessions } = require('../utils/tokens');
+const { ROLES } = require('../config/permissions');
+const { isProfileComplete } = require('../utils/profile');
 const bcrypt = require('bcryptjs');
 
-// Register students from file (CSV or Excel)
+// Register students from file (CSV or Excel).
+// Body: passwordMode ('rollno' | 'random'), mode ('insert' | 'upsert'), dryRun.
+// Every row is reported back. Rows that fail validation, repeat an email or roll number from an
+// earlier row, or match two different students reject the whole file; otherwise all writes go
+// in one bulkWrite (inside a transaction when the deployment supports them).
+// 'insert' skips students that already exist; 'upsert' (keyed on email or rollNo) updates their
+// semester, course, graduation year, CGPA and backlogs instead. dryRun=true only previews.
 const registerStudentsFromFile = async (req, res) => {
+    const filePath = req.file?.path;
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const filePath = req.file.path;
-        const fileExtension = req.file.originalname.split('.').pop().toLowerCase();
-        
-        let studentsData = [];
-
-        if (fileExtension === 'csv') {
-            // Parse CSV file
-            studentsData = await parseCSVFile(filePath);
-        } else if (fileExtension === 'xlsx' || fileExtension === 'xls') {
-            // Parse Excel file
-            studentsData = parseExcelFile(filePath);
-        } else {
+        // Initial passwords: 'rollno' gives `${rollNo}@007`, 'random' generates one per student and
+        // returns them once in a credentials sheet. Either way the student must change it on first login.
+        const passwordMode = (req.body.passwordMode || 'rollno').toString().trim().toLowerCase();
+        if (!['rollno', 'random'].includes(passwordMode)) {
+            return res.status(400).json({ error: "Invalid passwordMode. Must be 'rollno' or 'random'" });
+        }
+        const mode = (req.body.mode || 'insert').toString().trim().toLowerCase();
+        if (!['insert', 'upsert'].includes(mode)) {
+            return res.status(400).json({ error: "Invalid mode. Must be 'insert' or 'upsert'" });
+        }
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun).toLowerCase() === 'true';
+
+        const rawRows = await readUploadedRows(filePath, req.file.originalname);
+        if (!rawRows) {
             return res.status(400).json({ error: 'Unsupported file format. Please upload CSV or Excel file.' });
         }
+        if (!rawRows.length) {
+            return res.status(400).json({ error: 'The uploaded file has no rows' });
+        }
 
-        // Validate required fields for each student
-        const validatedStudents = [];
-        const errors = [];
+        // Validate every row and catch repeats within the file
+        const rows = [];
+        const firstRowByEmail = new Map();
+        const firstRowByRollNo = new Map();
+        rawRows.forEach((raw, i) => {
+            const row = i + 1;
+            const { student, errors } = validateStudentRow(normalizeStudentRow(raw));
+            const entry = { row, email: student.email, rollNo: student.details.rollNo, student };
+
+            if (errors.length) {
+                rows.push({ ...entry, result: 'invalid', message: errors.join('; ') });
+                return;
+            }
+            const rollKey = student.details.rollNo?.toLowerCase();
+            if (firstRowByEmail.has(student.email)) {
+                rows.push({ ...entry, result: 'duplicate', message: `Same email as row ${firstRowByEmail.get(student.email)}` });
+                return;
+            }
+            if (rollKey && firstRowByRollNo.has(rollKey)) {
+                rows.push({ ...entry, result: 'duplicate', message: `Same roll number as row ${firstRowByRollNo.get(rollKey)}` });
+                return;
+            }
+            firstRowByEmail.set(student.email, row);
+            if (rollKey) firstRowByRollNo.set(rollKey, row);
+            rows.push(entry);
+        });
 
-        for (let i = 0; i < studentsData.length; i++) {
-            const studentData = studentsData[i];
-            
-            // Check required fields
-            if (!studentData.name || !studentData.email ) {
-                errors.push(`Row ${i + 1}: Missing required fields (name, email)`);
+        // Match rows to existing students by email (case-insensitive) or roll number
+        const pending = rows.filter(r => !r.result);
+        const emails = pending.map(r => r.email);
+        const rollNos = pending.map(r => r.rollNo).filter(Boolean);
+        const existingStudents = await Student.find({
+            $or: [{ email: { $in: emails } }, { 'details.rollNo': { $in: rollNos } }]
+        }).collation({ locale: 'en', strength: 2 }).select('name email role details defaultResume');
+
+        const existingByEmail = new Map(existingStudents.map(s => [s.email.toLowerCase(), s]));
+        const existingByRollNo = new Map(existingStudents
+            .filter(s => s.details?.rollNo)
+            .map(s => [s.details.rollNo.toLowerCase(), s]));
+
+        for (const entry of pending) {
+            const byEmail = existingByEmail.get(entry.email);
+            const byRollNo = entry.rollNo ? existingByRollNo.get(entry.rollNo.toLowerCase()) : undefined;
+
+            if (byEmail && byRollNo && !byEmail._id.equals(byRollNo._id)) {
+                entry.result = 'conflict';
+                entry.message = `Email belongs to ${byEmail.email} but roll number belongs to ${byRollNo.email}`;
                 continue;
             }
 
-            // Validate role
-            if (!['student', 'coordinator'].includes(studentData.role)) {
-                errors.push(`Row ${i + 1}: Invalid role. Must be 'student' or 'coordinator'`);
+            const existing = byEmail || byRollNo;
+            if (!existing) {
+                if (passwordMode === 'rollno' && !entry.rollNo) {
+                    entry.result = 'invalid';
+                    entry.message = 'Missing rollNo, needed for the initial password (use passwordMode=random)';
+                    continue;
+                }
+                entry.result = 'create';
                 continue;
             }
 
-            // Create student object
-            // Hash the password before saving
-            const plainPassword = `${studentData.rollNo}@007`;
-            const hashedPassword = await bcrypt.hash(plainPassword, 10);
-
-            const student = {
-                name: studentData.name,
-                email: studentData.email,
-                password: hashedPassword,
-                role: studentData.role,
-                details: {
-                    rollNo: studentData.rollNo || '',
-                    semester: studentData.semester || '',
-                    course: studentData.course || '',
-                    graduationYear: studentData.graduationYear ? parseInt(studentData.graduationYear) : null
-                },
-                defaultResume: studentData.defaultResume || ''
-            };
-
-            validatedStudents.push(student);
+            entry.existing = existing;
+            if (mode === 'insert') {
+                entry.result = 'exists';
+                entry.message = `Student already registered as ${existing.email} (use mode=upsert to update)`;
+                continue;
+            }
+            entry.changes = diffStudentDetails(existing, entry.student.details);
+            entry.result = Object.keys(entry.changes).length ? 'update' : 'unchanged';
         }
 
-        if (errors.length > 0) {
-            return res.status(400).json({ 
-                error: 'Validation errors found', 
-                details: errors 
+        const report = rows.map(({ row, email, rollNo, result, message, changes }) => ({
+            row,
+            email,
+            rollNo,
+            result,
+            ...(message && { message }),
+            ...(changes && Object.keys(changes).length && { changes })
+        }));
+        const summary = report.reduce((acc, r) => {
+            acc[r.result] = (acc[r.result] || 0) + 1;
+            return acc;
+        }, { total: report.length });
+
+        const blocking = report.filter(r => ['invalid', 'duplicate', 'conflict'].includes(r.result));
+        if (blocking.length && !dryRun) {
+            return res.status(400).json({
+                error: 'Validation errors found; no students were imported',
+                summary,
+                rows: report
+            });
+        }
+        if (dryRun) {
+            return res.status(200).json({
+                message: 'Dry run completed; no changes were saved',
+                dryRun,
+                mode,
+                summary,
+                rows: report
             });
         }
 
-        // Insert students into database
-        const insertResults = [];
-        const insertErrors = [];
+        // Build the writes; bulkWrite skips save hooks, so profileIsCompleted is computed here.
+        // `written` holds each operation's report row (and login, for new students) in order.
+        const operations = [];
+        const written = [];
+        for (const entry of rows) {
+            if (entry.result === 'create') {
+                const { student } = entry;
+                const plainPassword = passwordMode === 'random' ? generateRandomPassword() : `${student.details.rollNo}@007`;
+                const document = new Student({
+                    ...student,
+                    password: await bcrypt.hash(plainPassword, 10),
+                    profileIsCompleted: isProfileComplete(student),
+                    mustChangePassword: true
+                });
+                operations.push({ insertOne: { document: document.toObject() } });
+                written.push({
+                    row: entry.row,
+                    credential: {
+                        'Name': student.name,
+                        'Email': student.email,
+                        'Roll No': student.details.rollNo || '',
+                        'Initial Password': plainPassword
+                    }
+                });
+            } else if (entry.result === 'update') {
+                const $set = {};
+                const details = { ...entry.existing.toObject().details };
+                for (const [field, { to }] of Object.entries(entry.changes)) {
+                    $set[`details.${field}`] = to;
+                    details[field] = to;
+                }
+                $set.profileIsCompleted = isProfileComplete({ defaultResume: entry.existing.defaultResume, details });
+                operations.push({ updateOne: { filter: { _id: entry.existing._id }, update: { $set } } });
+                written.push({ row: entry.row });
+            }
+        }
 
-        for (let i = 0; i < validatedStudents.length; i++) {
+        // Random passwords are only ever shown here, as a downloadable sheet
+        const credentialsSheetFor = (entries) => {
+            const credentials = entries.map(w => w.credential).filter(Boolean);
+            if (passwordMode !== 'random' || !credentials.length) return undefined;
+            return {
+                filename: `student_credentials_${Date.now()}.xlsx`,
+                contentType: SHEET_FORMATS.xlsx,
+                encoding: 'base64',
+                data: buildSheetBuffer(credentials, 'xlsx', 'Credentials').toString('base64')
+            };
+        };
+
+        let transactional = false;
+        if (operations.length) {
             try {
-                const newStudent = new Student(validatedStudents[i]);
-                const savedStudent = await newStudent.save();
-                insertResults.push({
-                    email: savedStudent.email,
-                    name: savedStudent.name,
-                    status: 'success'
-                });
+                transactional = await writeImport(operations);
             } catch (error) {
-                insertErrors.push({
-                    email: validatedStudents[i].email,
-                    name: validatedStudents[i].name,
-                    error: error.message,
-                    status: 'failed'
+                if (error.transactional !== false || !error.writeErrors?.length) throw error;
+                // Without a transaction the ordered bulkWrite keeps every write before the failing one
+                const failedAt = error.writeErrors[0].index;
+                const applied = written.slice(0, failedAt);
+                const appliedRows = new Set(applied.map(w => w.row));
+                const credentialsSheet = credentialsSheetFor(applied);
+                return res.status(409).json({
+                    error: `${error.code === 11000 ? 'A student in the file was registered concurrently' : 'A write failed'}; `
+                        + `the import stopped at row ${written[failedAt]?.row} after writing ${applied.length} of ${operations.length} rows`,
+                    transactional: false,
+                    summary: {
+                        ...summary,
+                        inserted: error.result?.insertedCount ?? 0,
+                        updated: error.result?.modifiedCount ?? 0,
+                        notWritten: operations.length - applied.length
+                    },
+                    rows: report.map(r => (['create', 'update'].includes(r.result)
+                        ? { ...r, written: appliedRows.has(r.row) }
+                        : r)),
+                    ...(credentialsSheet && { credentialsSheet })
                 });
             }
         }
 
-        // Clean up uploaded file
-        fs.unlinkSync(filePath);
+        const credentialsSheet = credentialsSheetFor(written);
 
         res.status(200).json({
             message: 'Student registration process completed',
-            successful: insertResults.length,
-            failed: insertErrors.length,
-            results: insertResults,
-            errors: insertErrors
+            dryRun,
+            mode,
+            transactional,
+            summary,
+            rows: report,
+            ...(credentialsSheet && { credentialsSheet })
         });
 
     } catch (error) {
         console.error('Error registering students from file:', error);
+        // Transactional imports roll back entirely
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A student in the file was registered concurrently; no students were imported' });
+        }
         res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        // Clean up uploaded file
+        if (filePath) fs.promises.unlink(filePath).catch(() => {});
     }
 };
 
-// Create a new company for placement
+// Run the import writes atomically (utils/transactions.js). Standalone MongoDB servers have no
+// transactions; there the ordered bulkWrite stops at the first failure, keeping the writes
+// before it; its errors carry transactional: false. Returns whether a transaction was used.
+const writeImport = async (operations) => {
+    const { transactional } = await runInTransaction(async (session) => {
+        try {
+            await Student.bulkWrite(operations, { session, ordered: true });
+        } catch (error) {
+            // Callers report what was written before the failure
+            if (!session) Object.assign(error, { transactional: false });
+            throw error;
+        }
+    });
+    return transactional;
+};
+
+// Create a new company for placement (its openings are added as job postings)
 const createCompany = async (req, res) => {
     try {
-        const { name, description, type, stipend } = req.body;
+        const { name, description, tier } = req.body;
 
         // Validate required fields
         if (!name || !description) {
@@ -130,17 +284,10 @@ const createCompany = async (req, res) => {
             });
         }
 
-        // Validate type enum if provided
-        if (type && !['Remote', 'onsite', 'hybrid'].includes(type)) {
-            return res.status(400).json({ 
-                error: 'Invalid type. Must be one of: Remote, onsite, hybrid' 
-            });
-        }
-
-        // Validate stipend if provided
-        if (stipend && (isNaN(stipend) || stipend < 0)) {
+        // Validate tier if provided
+        if (tier !== undefined && tier !== null && tier !== '' && (isNaN(tier) || tier < 0)) {
             return res.status(400).json({ 
-                error: 'Stipend must be a positive number' 
+                error: 'Tier must be a non-negative number' 
             });
         }
 
@@ -152,17 +299,12 @@ const createCompany = async (req, res) => {
             });
         }
 
-        // Create company object
-        const companyData = {
+        // Save company to database
+        const newCompany = new Company({
             name: name.trim(),
             description: description.trim(),
-        };
-
-        if (type) companyData.type = type;
-        if (stipend) companyData.stipend = parseFloat(stipend);
-
-        // Save company to database
-        const newCompany = new Company(companyData);
+            tier: tier !== undefined && tier !== null && tier !== '' ? parseInt(tier, 10) : undefined
+        });
         const savedCompany = await newCompany.save();
 
         res.status(201).json({
@@ -171,8 +313,7 @@ const createCompany = async (req, res) => {
                 id: savedCompany._id,
                 name: savedCompany.name,
                 description: savedCompany.description,
-                type: savedCompany.type,
-                stipend: savedCompany.stipend
+                tier: savedCompany.tier
             }
         });
 
@@ -203,7 +344,7 @@ const getAllCompanies = async (req, res) => {
 const updateCompany = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, type, stipend } = req.body;
+        const { name, description, tier } = req.body;
 
         // Check if company exists
         const existingCompany = await Company.findById(id);
@@ -213,17 +354,10 @@ const updateCompany = async (req, res) => {
             });
         }
 
-        // Validate type enum if provided
-        if (type && !['Remote', 'onsite', 'hybrid'].includes(type)) {
+        // Validate tier if provided
+        if (tier !== undefined && tier !== null && tier !== '' && (isNaN(tier) || tier < 0)) {
             return res.status(400).json({ 
-                error: 'Invalid type. Must be one of: Remote, onsite, hybrid' 
-            });
-        }
-
-        // Validate stipend if provided
-        if (stipend !== undefined && stipend !== null && (isNaN(stipend) || stipend < 0)) {
-            return res.status(400).json({ 
-                error: 'Stipend must be a positive number' 
+                error: 'Tier must be a non-negative number' 
             });
         }
 
@@ -244,8 +378,7 @@ const updateCompany = async (req, res) => {
         const updateData = {};
         if (name) updateData.name = name.trim();
         if (description) updateData.description = description.trim();
-        if (type) updateData.type = type;
-        if (stipend !== undefined && stipend !== null) updateData.stipend = parseFloat(stipend);
+        if (tier !== undefined && tier !== null && tier !== '') updateData.tier = parseInt(tier, 10);
 
         // Update company
         const updatedCompany = await Company.findByIdAndUpdate(
@@ -260,8 +393,7 @@ const updateCompany = async (req, res) => {
                 id: updatedCompany._id,
                 name: updatedCompany.name,
                 description: updatedCompany.description,
-                type: updatedCompany.type,
-                stipend: updatedCompany.stipend
+                tier: updatedCompany.tier
             }
         });
 
@@ -285,40 +417,25 @@ const deleteCompany = async (req, res) => {
             return res.status(404).json({ error: 'Company not found' });
         }
 
-        // Find all applications for this company and gather resume Cloudinary IDs
+        // Delete stored resumes of this company's applications (best-effort)
         const applications = await Application.find({ companyId: id }).select('resume');
-        const idMap = new Map(); // publicId -> resourceType
-
-        for (const app of applications) {
-            if (!app?.resume) continue;
-            const { publicId, resourceType } = getCloudinaryId(app.resume);
-            // Extra safety: only delete from the intended folder
-            if (publicId && publicId.startsWith('placement/resumes')) {
-                idMap.set(publicId, resourceType || 'raw');
-            }
-        }
-
-        // Delete resumes from Cloudinary (best-effort)
-        let resumesDeleted = 0;
-        const destroyTasks = Array.from(idMap.entries()).map(([publicId, resourceType]) =>
-            cloudinary.uploader
-                .destroy(publicId, { resource_type: resourceType })
-                .then(r => {
-                    if (r?.result === 'ok' || r?.result === 'not found') resumesDeleted++;
-                })
-                .catch(() => {
-                    // Log error but continue
-                    console.error(`Failed to delete Cloudinary resource: ${publicId}`);
-                })
-        );
+        let resumeCleanup = { resumesRequested: 0, resumesDeleted: 0 };
         try {
-            await Promise.allSettled(destroyTasks);
+            resumeCleanup = await destroyUnsharedResumes(
+                applications.map(app => app.resume),
+                { ignoreApplicationIds: applications.map(app => app._id) }
+            );
         } catch (err) {
             // Log but do not block deletion
-            console.error('Error deleting resumes from Cloudinary:', err);
+            console.error('Error deleting stored resumes:', err);
         }
-        // Remove related applications
+
+        // Remove related applications, postings and rounds
         const { deletedCount: applicationsDeleted = 0 } = await Application.deleteMany({ companyId: id });
+        const { deletedCount: postingsDeleted = 0 } = await JobPosting.deleteMany({ companyId: id });
+        const { deletedCount: roundsDeleted = 0 } = await Round.deleteMany({ companyId: id });
+        // Recruiter accounts exist only for their company
+        const { deletedCount: recruitersDeleted = 0 } = await Student.deleteMany({ role: 'recruiter', company: id });
 
         // Delete the company
         await Company.findByIdAndDelete(id);
@@ -330,9 +447,11 @@ const deleteCompany = async (req, res) => {
                 name: existingCompany.name
             },
             cleanup: {
+                postingsDeleted,
+                roundsDeleted,
+                recruitersDeleted,
                 applicationsDeleted,
-                resumesRequested: idMap.size,
-                resumesDeleted
+                ...resumeCleanup
             }
         });
     } catch (error) {
@@ -356,9 +475,11 @@ const getCompanyById = async (req, res) => {
             });
         }
 
+        const postings = await JobPosting.find({ companyId: id }).sort({ createdAt: -1 });
+
         res.status(200).json({
             message: 'Company retrieved successfully',
-            company: company
+            company: { ...company.toObject(), postings }
         });
 
     } catch (error) {
@@ -370,161 +491,102 @@ const getCompanyById = async (req, res) => {
     }
 };
 
-// Download all resumes as a zip from Cloudinary
+// Stream every applicant's resume as a zip, one folder per company, with an index.csv.
+// Supports the applicant listing filters (?status=, ?course=, ?year=).
 const downloadAllResumesZip = async (req, res) => {
     try {
-        // 1. Fetch all resume URLs from Application collection
-        const applications = await Application.find({}).select('resume');
-        if (!applications.length) {
-            return res.status(404).json({ error: 'No resumes found.' });
-        }
+        const companies = await Company.find({}).select('name');
+        const companyNames = new Map(companies.map(c => [c._id.toString(), c.name]));
 
-        // 2. Extract public IDs using your helper
-        const resumePublicIds = [];
-        for (const app of applications) {
-            if (!app.resume) continue;
-            const { publicId, resourceType } = getCloudinaryId(app.resume);
-            // Only include resumes from the intended folder
-            if (publicId && publicId.startsWith('placement/resumes')) {
-                resumePublicIds.push(publicId);
-            }
+        const { applicants, error } = await loadBundleApplicants(null, req.query, {
+            folderFor: (applicant) => safeName(companyNames.get(String(applicant.companyId)), 'company')
+        });
+        if (error) {
+            return res.status(400).json({ error });
         }
-
-        if (!resumePublicIds.length) {
-            return res.status(404).json({ error: 'No valid resumes found in placement/resumes.' });
+        if (!applicants.length) {
+            return res.status(404).json({ error: 'No resumes found.' });
         }
 
-        // 3. Generate the Cloudinary zip download URL
-        const zipUrl = await cloudinary.utils.download_zip_url({
-            public_ids: resumePublicIds,
-            resource_type: 'raw', // PDFs and docs are 'raw'
-            target_public_id: 'placement/all_resumes', // Optional: name of the zip in Cloudinary
-        });
-
-        // 4. Return the zip URL to the client
-        return res.status(200).json({
-            message: 'Download link generated successfully.',
-            zipUrl
-        });
+        await logBundleAccess(req, applicants, 'zip');
+        await streamResumeZip(res, applicants, { filename: 'all_resumes', companyNames });
     } catch (error) {
         console.error('Error generating resumes zip:', error);
+        // Once the zip has started the status is already sent; cut the download short instead
+        if (res.headersSent) return res.destroy(error);
         return res.status(500).json({ error: 'Failed to generate resumes zip.' });
     }
 };
 
-// Download all resumes for a specific company as a zip from Cloudinary
+// Stream a company's applicant resumes as a zip named <rollNo>_<name>.pdf, with an index.csv.
+// Supports ?status=, ?postingId=, ?course=, ?year=; withdrawn applications are skipped by default.
 const downloadCompanyResumesZip = async (req, res) => {
     try {
-        const { id: companyId } = req.params;
+        // Recruiters always get their own company (see requireRecruiter)
+        const companyId = req.companyScope || req.params.id;
 
         // Check if company exists
-        const company = await Company.findById(companyId);
+        const company = await Company.findById(companyId).select('name');
         if (!company) {
             return res.status(404).json({ error: 'Company not found' });
         }
 
-        // 1. Fetch all resume URLs for this company from Application collection
-        const applications = await Application.find({ companyId }).select('resume');
-        if (!applications.length) {
-            return res.status(404).json({ error: 'No resumes found for this company.' });
-        }
-
-        // 2. Extract public IDs using your helper
-        const resumePublicIds = [];
-        for (const app of applications) {
-            if (!app.resume) continue;
-            const { publicId } = getCloudinaryId(app.resume);
-            // Only include resumes from the intended folder
-            if (publicId && publicId.startsWith('placement/resumes')) {
-                resumePublicIds.push(publicId);
-            }
+        const { applicants, error } = await loadBundleApplicants(company._id, req.query);
+        if (error) {
+            return res.status(400).json({ error });
         }
-
-        if (!resumePublicIds.length) {
-            return res.status(404).json({ error: 'No valid resumes found in placement/resumes for this company.' });
+        if (!applicants.length) {
+            return res.status(404).json({ error: 'No resumes found for this company.' });
         }
 
-        // 3. Generate the Cloudinary zip download URL
-        const zipUrl = await cloudinary.utils.download_zip_url({
-            public_ids: resumePublicIds,
-            resource_type: 'raw', // PDFs and docs are 'raw'
-            target_public_id: `placement/${company.name.replace(/\s+/g, '_')}_resumes`, // Optional: name of the zip in Cloudinary
-        });
-
-        // 4. Return the zip URL to the client
-        return res.status(200).json({
-            message: 'Download link generated successfully.',
-            zipUrl
-        });
+        await logBundleAccess(req, applicants, 'zip');
+        await streamResumeZip(res, applicants, { filename: `${safeName(company.name, 'company')}_resumes` });
     } catch (error) {
         console.error('Error generating company resumes zip:', error);
+        if (res.headersSent) return res.destroy(error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
         return res.status(500).json({ error: 'Failed to generate resumes zip.' });
     }
 };
 
-// Helper function to parse CSV file
-const parseCSVFile = (filePath) => {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (data) => results.push(data))
-            .on('end', () => resolve(results))
-            .on('error', (error) => reject(error));
-    });
-};
+// Download a company's resume book: one PDF with a cover, a table of contents and each
+// applicant's resume in roll-number order, bookmarked by applicant.
+// Supports ?status=, ?postingId=, ?course=, ?year=; withdrawn applications are skipped by default.
+// Selections over the book's applicant or size limit (utils/resumeBook.js) get a 413.
+const downloadCompanyResumeBook = async (req, res) => {
+    try {
+        const company = await Company.findById(req.params.id).select('name');
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
 
-// Helper function to parse Excel file
-const parseExcelFile = (filePath) => {
-    const workbook = xlsx.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Read rows; defval ensures empty cells become empty strings rather than undefined
-    const rawRows = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
-
-    // Helper to normalize and map multiple header variants to one field
-    const pick = (raw, candidates = []) => {
-        // exact match (case-insensitive, trim)
-        for (const c of candidates) {
-            const key = Object.keys(raw).find(k => k && k.toString().trim().toLowerCase() === c.toString().trim().toLowerCase());
-            if (key && raw[key] !== '') return String(raw[key]).trim();
-        }
-        // fuzzy match: compare normalized keys (lowercase, remove non-alnum)
-        const normMap = Object.keys(raw).reduce((acc, k) => {
-            acc[k.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, '')] = raw[k];
-            return acc;
-        }, {});
-        for (const c of candidates) {
-            const nc = c.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, '');
-            if (nc && normMap[nc] !== undefined && normMap[nc] !== '') return String(normMap[nc]).trim();
-        }
-        return '';
-    };
-
-    return rawRows.map(raw => {
-        const name = pick(raw, ['name', 'full name', 'student name']);
-        const email = pick(raw, ['email', 'e-mail', 'mail']);
-        const rollNo = pick(raw, ['rollNo', 'roll no', 'roll', 'roll_number', 'rollno']);
-        const roleRaw = pick(raw, ['role']);
-        const role = (roleRaw || 'student').toString().trim().toLowerCase();
-        const semester = pick(raw, ['semester', 'sem']);
-        const course = pick(raw, ['course']);
-        const graduationYearRaw = pick(raw, ['graduationYear', 'graduation year', 'graduation_year', 'graduation']);
-        const graduationYear = graduationYearRaw ? parseInt(graduationYearRaw, 10) || null : null;
-        const defaultResume = pick(raw, ['defaultResume', 'resume']);
-
-        return {
-            name,
-            email,
-            rollNo,
-            role,
-            semester,
-            course,
-            graduationYear,
-            defaultResume
-        };
-    });
+        const { applicants, error } = await loadBundleApplicants(company._id, req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!applicants.length) {
+            return res.status(404).json({ error: 'No applicants found for this company.' });
+        }
+
+        const statuses = req.query.status ? req.query.status.toString().split(',').map(s => s.trim()).filter(Boolean) : [];
+        const { pdf, error: limitError } = await buildResumeBook(company.name, applicants, { statuses });
+        if (limitError) {
+            return res.status(413).json({ error: limitError });
+        }
+        await logBundleAccess(req, applicants, 'book');
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${safeName(company.name, 'company')}_resume_book.pdf"`);
+        return res.status(200).send(Buffer.from(pdf));
+    } catch (error) {
+        console.error('Error generating resume book:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        return res.status(500).json({ error: 'Failed to generate resume book.' });
+    }
 };
 
 // Helper to escape user input used in RegExp
@@ -532,7 +594,7 @@ const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const normalize = (s = '') => s.toString().trim().toLowerCase().replace(/\s+/g, ' ');
 
-// Promote a student to coordinator by email only
+// Promote a student to student coordinator by email only
 const makeStudentCoordinator = async (req, res) => {
   try {
     const { email } = req.body;
@@ -548,13 +610,16 @@ const makeStudentCoordinator = async (req, res) => {
       return res.status(404).json({ error: 'Student not found with provided email' });
     }
 
-    if (student.role === 'coordinator') {
-      return res.status(400).json({ error: 'User is already a coordinator' });
+    if (student.role !== 'student') {
+      return res.status(400).json({ error: `User already has the ${student.role} role` });
     }
 
-    student.role = 'coordinator';
+    student.role = 'student_coordinator';
     await student.save();
 
+    // Tokens carry the role, so sessions from before the promotion must not keep working
+    await revokeUserSessions(student._id, 'role changed');
+
     return res.status(200).json({
       message: 'Student promoted to coordinator successfully',
       student: {
@@ -570,6 +635,64 @@ const makeStudentCoordinator = async (req, res) => {
   }
 };
 
+// Assign any role to a user by email (admins only)
+const assignRole = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (!email || !role) {
+      return res.status(400).json({ error: 'Email and role are required' });
+    }
+    // The legacy 'coordinator' role is kept only for unmigrated accounts, and recruiters
+    // are created per company (POST /company/:id/recruiters)
+    const assignable = ROLES.filter(r => r !== 'coordinator' && r !== 'recruiter');
+    if (!assignable.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${assignable.join(', ')}` });
+    }
+
+    const emailRegex = new RegExp(`^${escapeRegex(email.toString().trim())}$`, 'i');
+    const user = await Student.findOne({ email: emailRegex });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found with provided email' });
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    if (user.role === role) {
+      return res.status(400).json({ error: `User already has the ${role} role` });
+    }
+
+    // Never leave the institute without an admin
+    if (user.role === 'admin') {
+      const admins = await Student.countDocuments({ role: 'admin' });
+      if (admins <= 1) {
+        return res.status(400).json({ error: 'Cannot demote the last admin' });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    user.company = undefined;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'role changed');
+
+    return res.status(200).json({
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        previousRole,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
     registerStudentsFromFile,
     createCompany,
@@ -579,5 +702,7 @@ module.exports = {
     getCompanyById,
     downloadAllResumesZip,
     downloadCompanyResumesZip,
-    makeStudentCoordinator
+    downloadCompanyResumeBook,
+    makeStudentCoordinator,
+    assignRole
 };
\ No newline at end of file
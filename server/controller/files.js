@@ -0,0 +1,44 @@
+const path = require('path');
+const { storage, getDriverName, verifyLocalSignature, contentTypeForKey } = require('../utils/storage');
+
+// Serve a file of the local storage driver through a signed, expiring URL (see utils/storage.js).
+// Other drivers hand out their own signed URLs, so this route only answers for 'local'.
+const serveSignedFile = async (req, res) => {
+    try {
+        if (getDriverName() !== 'local') {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const key = [].concat(req.params.key).join('/');
+        const { expires, signature, filename } = req.query;
+        if (!verifyLocalSignature(key, expires, signature)) {
+            return res.status(403).json({ error: 'Link is invalid or has expired' });
+        }
+
+        const stream = await storage.getStream(key);
+        const downloadName = (filename || path.posix.basename(key)).toString().replace(/["\r\n]/g, '');
+        // Only images open in the browser; everything else downloads, and nosniff keeps browsers
+        // from reading a file as anything but its declared type
+        const contentType = contentTypeForKey(key);
+        const disposition = contentType.startsWith('image/') ? 'inline' : 'attachment';
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${downloadName}"`);
+        stream.on('error', (err) => {
+            console.error('Error streaming stored file:', err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (/Invalid storage key/.test(error.message)) {
+            return res.status(400).json({ error: 'Invalid file path' });
+        }
+        console.error('Error serving stored file:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = { serveSignedFile };
@@ -0,0 +1,168 @@
+const Application = require('../models/application');
+const Company = require('../models/companies');
+const Offer = require('../models/offer');
+const { applyStatusChange, isOwnApplication } = require('../utils/applicationStatus');
+const { closeOfferedApplication, expireStaleOffers } = require('../utils/offers');
+const { runInTransaction } = require('../utils/transactions');
+
+// Make an offer on an application; moves the application to "offered" if needed. This is the
+// only way into "offered". Recruiters are confined to req.companyScope.
+// Body: role, ctc, stipend, joiningDate, acceptBy (required), remark
+const createOffer = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role, ctc, stipend, joiningDate, acceptBy, remark } = req.body;
+
+        const application = await Application.findOne(req.companyScope ? { _id: id, companyId: req.companyScope } : { _id: id })
+            .populate('postingId', 'title');
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+        if (isOwnApplication(application, req.user.id)) {
+            return res.status(403).json({ error: 'You cannot make an offer on your own application' });
+        }
+
+        const existingOffer = await Offer.findOne({ applicationId: id });
+        if (existingOffer) {
+            return res.status(409).json({ error: `An offer already exists for this application (${existingOffer.status})` });
+        }
+
+        // Validate offer fields
+        const deadline = acceptBy ? new Date(acceptBy) : null;
+        if (!deadline || isNaN(deadline.getTime())) {
+            return res.status(400).json({ error: 'acceptBy must be a valid date' });
+        }
+        if (deadline <= new Date()) {
+            return res.status(400).json({ error: 'acceptBy must be in the future' });
+        }
+        const joining = joiningDate ? new Date(joiningDate) : undefined;
+        if (joining && isNaN(joining.getTime())) {
+            return res.status(400).json({ error: 'joiningDate must be a valid date' });
+        }
+        for (const [label, value] of [['CTC', ctc], ['Stipend', stipend]]) {
+            if (value !== undefined && value !== null && value !== '' && (isNaN(value) || value < 0)) {
+                return res.status(400).json({ error: `${label} must be a positive number` });
+            }
+        }
+
+        const offerRole = (role || application.postingId?.title || '').toString().trim();
+        if (!offerRole) {
+            return res.status(400).json({ error: 'Role is required' });
+        }
+
+        if (application.status !== 'offered') {
+            const transitionError = applyStatusChange(application, 'offered', {
+                changedBy: req.user.id,
+                remark
+            });
+            if (transitionError) {
+                return res.status(400).json({ error: transitionError });
+            }
+        }
+
+        const offer = new Offer({
+            applicationId: application._id,
+            userId: application.userId,
+            companyId: application.companyId,
+            postingId: application.postingId?._id,
+            role: offerRole,
+            ctc: ctc !== undefined && ctc !== '' ? parseFloat(ctc) : undefined,
+            stipend: stipend !== undefined && stipend !== '' ? parseFloat(stipend) : undefined,
+            joiningDate: joining,
+            acceptBy: deadline,
+            createdBy: req.user.id
+        });
+
+        // The offer and the application's "offered" status are written together
+        await runInTransaction(async (session) => {
+            await offer.save({ session });
+            try {
+                await application.save({ session });
+            } catch (error) {
+                if (!session) await Offer.deleteOne({ _id: offer._id }).catch(() => {});
+                throw error;
+            }
+        });
+
+        return res.status(201).json({
+            message: 'Offer created successfully',
+            offer
+        });
+    } catch (error) {
+        console.error('Error creating offer:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid application ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// List all offers made by a company (?status= to filter)
+const getCompanyOffers = async (req, res) => {
+    try {
+        const { id: companyId } = req.params;
+
+        const company = await Company.findById(companyId);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        await expireStaleOffers({ companyId });
+
+        const filter = { companyId };
+        if (req.query.status) filter.status = req.query.status;
+
+        const offers = await Offer.find(filter)
+            .populate('userId', 'name email details.rollNo details.course')
+            .populate('postingId', 'title')
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            message: 'Offers retrieved successfully',
+            count: offers.length,
+            offers
+        });
+    } catch (error) {
+        console.error('Error fetching offers:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Withdraw a pending offer; the application ends as rejected. Recruiters are confined to
+// req.companyScope.
+const revokeOffer = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const offer = await Offer.findOne(req.companyScope ? { _id: id, companyId: req.companyScope } : { _id: id });
+        if (!offer) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        if (offer.status !== 'pending') {
+            return res.status(400).json({ error: `Only pending offers can be revoked (this offer is ${offer.status})` });
+        }
+
+        offer.status = 'revoked';
+        offer.respondedAt = new Date();
+        await closeOfferedApplication(offer, { changedBy: req.user.id, remark: 'Offer revoked' });
+
+        return res.status(200).json({
+            message: 'Offer revoked successfully',
+            offer
+        });
+    } catch (error) {
+        console.error('Error revoking offer:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid offer ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = {
+    createOffer,
+    getCompanyOffers,
+    revokeOffer
+};
@@ -0,0 +1,246 @@
+const Company = require('../models/companies');
+const JobPosting = require('../models/jobPosting');
+const Application = require('../models/application');
+const Round = require('../models/round');
+const { parseEligibility } = require('../utils/eligibility');
+const { parseWindowDate } = require('../utils/applicationWindow');
+const { destroyUnsharedResumes } = require('../utils/resumes');
+
+const LOCATION_TYPES = ['Remote', 'onsite', 'hybrid'];
+
+// Validate posting fields from a request body and build the data to save.
+// `existing` is the posting being updated (undefined on create); returns { data } or { error }.
+const buildPostingData = (body, existing) => {
+    const { title, description, locationType, ctc, stipend } = body;
+    const data = {};
+
+    if (!existing && !title) {
+        return { error: 'Missing required field: title is required' };
+    }
+    if (title) data.title = title.toString().trim();
+    if (description !== undefined) data.description = description.toString().trim();
+
+    // Validate location type enum if provided
+    if (locationType) {
+        if (!LOCATION_TYPES.includes(locationType)) {
+            return { error: `Invalid locationType. Must be one of: ${LOCATION_TYPES.join(', ')}` };
+        }
+        data.locationType = locationType;
+    }
+
+    // Validate CTC and stipend if provided
+    for (const [field, value] of [['ctc', ctc], ['stipend', stipend]]) {
+        if (value === undefined || value === null || value === '') continue;
+        if (isNaN(value) || value < 0) {
+            return { error: `${field === 'ctc' ? 'CTC' : 'Stipend'} must be a positive number` };
+        }
+        data[field] = parseFloat(value);
+    }
+
+    // Validate eligibility rules if provided; an empty value removes them
+    const { value: eligibility, error: eligibilityError } = parseEligibility(body.eligibility);
+    if (eligibilityError) return { error: eligibilityError };
+    if (eligibility) data.eligibility = eligibility;
+    if (eligibility === null && existing) data.$unset = { eligibility: 1 };
+
+    // Validate application window; extending or reopening a posting is just
+    // moving applicationClosesAt into the future (or clearing it)
+    const opens = parseWindowDate(body.applicationOpensAt, 'applicationOpensAt');
+    const closes = parseWindowDate(body.applicationClosesAt, 'applicationClosesAt');
+    if (opens.error || closes.error) return { error: opens.error || closes.error };
+    const nextOpensAt = opens.value !== undefined ? opens.value : existing?.applicationOpensAt;
+    const nextClosesAt = closes.value !== undefined ? closes.value : existing?.applicationClosesAt;
+    if (nextOpensAt && nextClosesAt && nextClosesAt <= nextOpensAt) {
+        return { error: 'applicationClosesAt must be after applicationOpensAt' };
+    }
+    if (opens.value !== undefined) data.applicationOpensAt = opens.value;
+    if (closes.value !== undefined) data.applicationClosesAt = closes.value;
+
+    return { data };
+};
+
+// Create a job posting under a company
+const createPosting = async (req, res) => {
+    try {
+        const { id: companyId } = req.params;
+
+        const company = await Company.findById(companyId);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const { data, error } = buildPostingData(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Check if this company already has a posting with the same title
+        const existingPosting = await JobPosting.findOne({ companyId, title: data.title });
+        if (existingPosting) {
+            return res.status(409).json({ error: 'This company already has a posting with this title' });
+        }
+
+        const posting = await new JobPosting({ ...data, companyId }).save();
+
+        return res.status(201).json({
+            message: 'Job posting created successfully',
+            posting
+        });
+    } catch (error) {
+        console.error('Error creating job posting:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Get all postings of a company
+const getCompanyPostings = async (req, res) => {
+    try {
+        const { id: companyId } = req.params;
+
+        const company = await Company.findById(companyId);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const postings = await JobPosting.find({ companyId }).sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            message: 'Job postings retrieved successfully',
+            count: postings.length,
+            postings
+        });
+    } catch (error) {
+        console.error('Error fetching job postings:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Get a single posting by ID
+const getPostingById = async (req, res) => {
+    try {
+        const posting = await JobPosting.findById(req.params.id).populate('companyId', 'name description');
+        if (!posting) {
+            return res.status(404).json({ error: 'Job posting not found' });
+        }
+
+        return res.status(200).json({
+            message: 'Job posting retrieved successfully',
+            posting
+        });
+    } catch (error) {
+        console.error('Error fetching job posting:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid job posting ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Update a posting (also used to extend or reopen its application window)
+const updatePosting = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingPosting = await JobPosting.findById(id);
+        if (!existingPosting) {
+            return res.status(404).json({ error: 'Job posting not found' });
+        }
+
+        const { data, error } = buildPostingData(req.body, existingPosting);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Check if title already exists for this company (excluding current posting)
+        if (data.title && data.title !== existingPosting.title) {
+            const duplicatePosting = await JobPosting.findOne({
+                companyId: existingPosting.companyId,
+                title: data.title,
+                _id: { $ne: id }
+            });
+            if (duplicatePosting) {
+                return res.status(409).json({ error: 'This company already has a posting with this title' });
+            }
+        }
+
+        const updatedPosting = await JobPosting.findByIdAndUpdate(
+            id,
+            data,
+            { new: true, runValidators: true }
+        );
+
+        return res.status(200).json({
+            message: 'Job posting updated successfully',
+            posting: updatedPosting
+        });
+    } catch (error) {
+        console.error('Error updating job posting:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid job posting ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Delete a posting along with its applications and their resumes
+const deletePosting = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingPosting = await JobPosting.findById(id);
+        if (!existingPosting) {
+            return res.status(404).json({ error: 'Job posting not found' });
+        }
+
+        // Delete stored resumes (best-effort)
+        const applications = await Application.find({ postingId: id }).select('resume');
+        let resumeCleanup = { resumesRequested: 0, resumesDeleted: 0 };
+        try {
+            resumeCleanup = await destroyUnsharedResumes(
+                applications.map(app => app.resume),
+                { ignoreApplicationIds: applications.map(app => app._id) }
+            );
+        } catch (err) {
+            // Log but do not block deletion
+            console.error('Error deleting stored resumes:', err);
+        }
+
+        const { deletedCount: applicationsDeleted = 0 } = await Application.deleteMany({ postingId: id });
+        const { deletedCount: roundsDeleted = 0 } = await Round.deleteMany({ postingId: id });
+        await JobPosting.findByIdAndDelete(id);
+
+        return res.status(200).json({
+            message: 'Job posting deleted successfully',
+            deletedPosting: {
+                id: existingPosting._id,
+                title: existingPosting.title,
+                companyId: existingPosting.companyId
+            },
+            cleanup: {
+                roundsDeleted,
+                applicationsDeleted,
+                ...resumeCleanup
+            }
+        });
+    } catch (error) {
+        console.error('Error deleting job posting:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid job posting ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = {
+    createPosting,
+    getCompanyPostings,
+    getPostingById,
+    updatePosting,
+    deletePosting
+};
@@ -0,0 +1,144 @@
+const bcrypt = require('bcryptjs');
+const Student = require('../models/students');
+const Company = require('../models/companies');
+const JobPosting = require('../models/jobPosting');
+const { generateRandomPassword } = require('../utils/passwordPolicy');
+
+const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toRecruiterSummary = (recruiter) => ({
+    id: recruiter._id,
+    name: recruiter.name,
+    email: recruiter.email,
+    companyId: recruiter.company,
+    mustChangePassword: recruiter.mustChangePassword,
+    createdAt: recruiter.createdAt
+});
+
+// Create a recruiter account for a company (coordinator). The initial password is random,
+// returned only in this response, and must be changed at first login.
+// Body: name, email
+const createRecruiter = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const name = (req.body.name || '').toString().trim();
+        // Logins and password resets look emails up in lower case
+        const email = (req.body.email || '').toString().trim().toLowerCase();
+
+        if (!name || !email) {
+            return res.status(400).json({ error: 'Name and email are required' });
+        }
+
+        const company = await Company.findById(id);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const emailRegex = new RegExp(`^${escapeRegex(email)}$`, 'i');
+        if (await Student.exists({ email: emailRegex })) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        const initialPassword = generateRandomPassword();
+        const recruiter = await new Student({
+            name,
+            email,
+            password: await bcrypt.hash(initialPassword, 10),
+            role: 'recruiter',
+            company: company._id,
+            mustChangePassword: true
+        }).save();
+
+        return res.status(201).json({
+            message: 'Recruiter created successfully. Share the initial password securely; it is not shown again.',
+            recruiter: toRecruiterSummary(recruiter),
+            initialPassword
+        });
+    } catch (error) {
+        console.error('Error creating recruiter:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// List a company's recruiter accounts (coordinator)
+const getCompanyRecruiters = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const company = await Company.findById(id);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const recruiters = await Student.find({ role: 'recruiter', company: company._id }).sort({ createdAt: 1 });
+
+        return res.status(200).json({
+            message: 'Recruiters retrieved successfully',
+            company: { id: company._id, name: company.name },
+            count: recruiters.length,
+            recruiters: recruiters.map(toRecruiterSummary)
+        });
+    } catch (error) {
+        console.error('Error fetching recruiters:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Delete a recruiter account (coordinator); its sessions die with it
+const deleteRecruiter = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const recruiter = await Student.findOneAndDelete({ _id: id, role: 'recruiter' });
+        if (!recruiter) {
+            return res.status(404).json({ error: 'Recruiter not found' });
+        }
+
+        return res.status(200).json({
+            message: 'Recruiter deleted successfully',
+            recruiter: toRecruiterSummary(recruiter)
+        });
+    } catch (error) {
+        console.error('Error deleting recruiter:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid recruiter ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// The recruiter's own company with its job postings
+const getRecruiterCompany = async (req, res) => {
+    try {
+        const company = await Company.findById(req.companyScope);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const postings = await JobPosting.find({ companyId: company._id }).sort({ createdAt: 1 });
+
+        return res.status(200).json({
+            message: 'Company retrieved successfully',
+            company: { ...company.toObject(), postings }
+        });
+    } catch (error) {
+        console.error('Error fetching recruiter company:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = {
+    createRecruiter,
+    getCompanyRecruiters,
+    deleteRecruiter,
+    getRecruiterCompany
+};
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Student = require('../models/students');
+const Company = require('../models/companies');
+const Application = require('../models/application');
+const ResumeText = require('../models/resumeText');
+const { APPLICANT_ROLES } = require('../config/permissions');
+const { APPLICATION_STATUSES } = require('../utils/applicationStatus');
+const {
+    parseSearchQuery,
+    matchesQuery,
+    countMatches,
+    highlight,
+    necessaryCondition,
+    evaluateCondition,
+    conditionTerms,
+    databasePattern
+} = require('../utils/searchQuery');
+const { resumeLink } = require('../utils/resumes');
+
+const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Profile fields searched along with the resume text
+const profileSearchText = (student) => [
+    student.name,
+    student.email,
+    student.details?.rollNo,
+    student.details?.course,
+    student.details?.semester && `semester ${student.details.semester}`,
+    student.details?.graduationYear,
+    student.details?.skills?.join(', ')
+].filter(Boolean).join('\n');
+
+// Build the student filter from ?course=, ?year=, ?minCgpa=, ?maxBacklogs=; returns { filter } or { error }
+const buildStudentFilter = ({ course, year, minCgpa, maxBacklogs }) => {
+    const filter = { role: { $in: APPLICANT_ROLES } };
+    if (course) {
+        filter['details.course'] = new RegExp(`^${escapeRegex(course.toString().trim())}$`, 'i');
+    }
+    if (year) {
+        const graduationYear = parseInt(year, 10);
+        if (isNaN(graduationYear)) return { error: 'Year must be a valid graduation year' };
+        filter['details.graduationYear'] = graduationYear;
+    }
+    if (minCgpa) {
+        const cgpa = parseFloat(minCgpa);
+        if (isNaN(cgpa)) return { error: 'minCgpa must be a number' };
+        filter['details.cgpa'] = { $gte: cgpa };
+    }
+    if (maxBacklogs !== undefined && maxBacklogs !== '') {
+        const backlogs = parseInt(maxBacklogs, 10);
+        if (isNaN(backlogs)) return { error: 'maxBacklogs must be a number' };
+        filter['details.activeBacklogs'] = { $lte: backlogs };
+    }
+    return { filter };
+};
+
+// profileSearchText as an aggregation expression, so the database can pre-filter on it
+const fieldText = (field) => ({ $ifNull: [{ $toString: field }, ''] });
+const PROFILE_TEXT_EXPR = {
+    $concat: [
+        fieldText('$name'), '\n',
+        fieldText('$email'), '\n',
+        fieldText('$details.rollNo'), '\n',
+        fieldText('$details.course'), '\n',
+        { $cond: [{ $ifNull: ['$details.semester', false] }, { $concat: ['semester ', fieldText('$details.semester')] }, ''] }, '\n',
+        fieldText('$details.graduationYear'), '\n',
+        { $reduce: { input: { $ifNull: ['$details.skills', []] }, initialValue: '', in: { $concat: ['$$value', ', ', '$$this'] } } }
+    ]
+};
+
+// Ask the database which resumes and student profiles contain each term the query needs.
+// Returns null when the query has no such terms (e.g. only NOT terms); otherwise the keys and
+// student IDs worth loading and couldMatch(candidate), which applies the query's AND/OR shape.
+const findPrefilterMatches = async (ast, studentFilter) => {
+    const condition = necessaryCondition(ast);
+    if (!condition) return null;
+
+    const matches = new Map();
+    for (const term of conditionTerms(condition)) {
+        const pattern = databasePattern(term);
+        const [keys, studentIds] = await Promise.all([
+            ResumeText.distinct('key', { status: 'indexed', text: { $regex: pattern, $options: 'i' } }),
+            Student.distinct('_id', {
+                ...studentFilter,
+                $expr: { $regexMatch: { input: PROFILE_TEXT_EXPR, regex: pattern, options: 'i' } }
+            })
+        ]);
+        matches.set(term, { keys: new Set(keys), studentIds: new Set(studentIds.map(String)) });
+    }
+
+    const all = [...matches.values()];
+    return {
+        keys: [...new Set(all.flatMap(m => [...m.keys]))],
+        studentIds: [...new Set(all.flatMap(m => [...m.studentIds]))],
+        couldMatch: (candidate) => evaluateCondition(condition, (term) => {
+            const m = matches.get(term);
+            return m.keys.has(candidate.resumeKey) || m.studentIds.has(candidate.student._id.toString());
+        })
+    };
+};
+
+// Search resume text and profile fields with a boolean keyword query.
+// ?q= (see utils/searchQuery.js); ?companyId= searches that company's applicants and the resume
+// each one submitted (narrow with ?postingId= and ?status=); otherwise every student's default
+// resume is searched. Also ?course=, ?year=, ?minCgpa=, ?maxBacklogs=, ?page=, ?limit=.
+// The database narrows the candidates first; resume text is then streamed through the full
+// query one document at a time and only kept for the page of results.
+const searchResumes = async (req, res) => {
+    try {
+        const { q, companyId, postingId, status } = req.query;
+
+        const { ast, terms, error: queryError } = parseSearchQuery(q);
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+
+        const { filter: studentFilter, error: filterError } = buildStudentFilter(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        // Candidates: one { student, resumeKey, application } per resume to search
+        let candidates;
+        let company;
+        let prefilter;
+        if (companyId) {
+            if (!mongoose.isValidObjectId(companyId)) {
+                return res.status(400).json({ error: 'Invalid company ID format' });
+            }
+            company = await Company.findById(companyId).select('name');
+            if (!company) {
+                return res.status(404).json({ error: 'Company not found' });
+            }
+
+            const applicationFilter = { companyId: company._id };
+            if (postingId) {
+                if (!mongoose.isValidObjectId(postingId)) {
+                    return res.status(400).json({ error: 'Invalid job posting ID format' });
+                }
+                applicationFilter.postingId = postingId;
+            }
+            if (status) {
+                const statuses = status.toString().split(',').map(s => s.trim()).filter(Boolean);
+                if (statuses.some(s => !APPLICATION_STATUSES.includes(s))) {
+                    return res.status(400).json({ error: `Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+                }
+                applicationFilter.status = { $in: statuses };
+            }
+
+            prefilter = await findPrefilterMatches(ast, studentFilter);
+            if (prefilter) {
+                applicationFilter.$or = [{ resume: { $in: prefilter.keys } }, { userId: { $in: prefilter.studentIds } }];
+            }
+
+            const applications = await Application.find(applicationFilter)
+                .select('userId postingId status resume')
+                .populate('postingId', 'title');
+            const students = await Student.find({ ...studentFilter, _id: { $in: applications.map(a => a.userId) } })
+                .select('name email details');
+            const studentsById = new Map(students.map(s => [s._id.toString(), s]));
+
+            candidates = applications
+                .filter(a => studentsById.has(a.userId.toString()))
+                .map(a => ({ student: studentsById.get(a.userId.toString()), resumeKey: a.resume, application: a }));
+        } else {
+            prefilter = await findPrefilterMatches(ast, studentFilter);
+            const filter = prefilter
+                ? { ...studentFilter, $or: [{ _id: { $in: prefilter.studentIds } }, { defaultResume: { $in: prefilter.keys } }] }
+                : studentFilter;
+            const students = await Student.find(filter).select('name email details defaultResume');
+            candidates = students.map(s => ({ student: s, resumeKey: s.defaultResume }));
+        }
+
+        const keys = [...new Set(candidates.map(c => c.resumeKey).filter(Boolean))];
+        const statuses = await ResumeText.find({ key: { $in: keys } }).select('key status');
+        const statusByKey = new Map(statuses.map(t => [t.key, t.status]));
+
+        const matches = [];
+        const tryCandidate = (candidate, resumeText) => {
+            const profileText = profileSearchText(candidate.student);
+            if (!matchesQuery(ast, `${profileText}\n${resumeText}`)) return;
+            matches.push({
+                ...candidate,
+                indexStatus: statusByKey.get(candidate.resumeKey) || (candidate.resumeKey ? 'pending' : 'no_resume'),
+                score: countMatches(terms, resumeText) + countMatches(terms, profileText)
+            });
+        };
+
+        const remaining = prefilter ? candidates.filter(prefilter.couldMatch) : candidates;
+        const byKey = new Map();
+        for (const candidate of remaining) {
+            const key = statusByKey.get(candidate.resumeKey) === 'indexed' ? candidate.resumeKey : null;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(candidate);
+        }
+
+        // Candidates without indexed text can only match on profile fields
+        (byKey.get(null) || []).forEach(candidate => tryCandidate(candidate, ''));
+        byKey.delete(null);
+        if (byKey.size) {
+            const cursor = ResumeText.find({ key: { $in: [...byKey.keys()] } }).select('key text').cursor();
+            for await (const doc of cursor) {
+                byKey.get(doc.key).forEach(candidate => tryCandidate(candidate, doc.text || ''));
+            }
+        }
+        matches.sort((a, b) => b.score - a.score || a.student.name.localeCompare(b.student.name));
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const pageMatches = matches.slice((page - 1) * limit, page * limit);
+
+        // Text for highlighting is fetched again for this page only
+        const pageTexts = await ResumeText.find({ key: { $in: pageMatches.map(m => m.resumeKey).filter(Boolean) }, status: 'indexed' })
+            .select('key text');
+        const textByKey = new Map(pageTexts.map(t => [t.key, t.text]));
+
+        const results = pageMatches.map(m => ({
+            studentId: m.student._id,
+            name: m.student.name,
+            email: m.student.email,
+            rollNo: m.student.details?.rollNo,
+            course: m.student.details?.course,
+            graduationYear: m.student.details?.graduationYear,
+            cgpa: m.student.details?.cgpa,
+            skills: m.student.details?.skills || [],
+            ...(m.application && {
+                applicationId: m.application._id,
+                postingTitle: m.application.postingId?.title,
+                status: m.application.status
+            }),
+            score: m.score,
+            indexStatus: m.indexStatus,
+            highlights: {
+                resume: highlight(terms, textByKey.get(m.resumeKey) || ''),
+                profile: highlight(terms, profileSearchText(m.student), { maxSnippets: 1 })
+            },
+            resumeUrl: resumeLink(m.resumeKey)
+        }));
+
+        // Resumes still queued or unreadable can only match on profile fields
+        const notIndexed = candidates.filter(c => c.resumeKey && statusByKey.get(c.resumeKey) !== 'indexed').length;
+
+        return res.status(200).json({
+            message: 'Resume search completed',
+            query: q,
+            ...(company && { company: { id: company._id, name: company.name } }),
+            searched: candidates.length,
+            notIndexed,
+            pagination: {
+                page,
+                limit,
+                total: matches.length,
+                totalPages: Math.ceil(matches.length / limit)
+            },
+            results
+        });
+    } catch (error) {
+        console.error('Error searching resumes:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = { searchResumes };
@@ -0,0 +1,48 @@
+const path = require('path');
+const { storage } = require('../utils/storage');
+const { RESUME_LINK_TTL_SECONDS, checkResumeAccess, logResumeAccess } = require('../utils/resumeAccess');
+
+// Issue a short-lived signed download link for a stored resume to its owner, staff who can view
+// resumes, or a recruiter of a company it was submitted to. Profile photos are served the same
+// way (see checkResumeAccess). Every link issued is logged.
+const getResumeLink = async (req, res) => {
+    try {
+        const key = [].concat(req.params.key).join('/');
+
+        const access = await checkResumeAccess(req.user, key);
+        if (!access.found) {
+            return res.status(404).json({ error: 'Resume not found' });
+        }
+        const isPhoto = access.kind === 'photo';
+        if (!access.allowed) {
+            return res.status(403).json({ error: `You do not have access to this ${isPhoto ? 'photo' : 'resume'}` });
+        }
+
+        // Photos are shown inline; resumes download under their file name
+        const url = await storage.signedUrl(key, {
+            expiresIn: RESUME_LINK_TTL_SECONDS,
+            ...(!isPhoto && { filename: path.posix.basename(key) })
+        });
+        await logResumeAccess(req, [{
+            key,
+            kind: access.kind,
+            student: access.studentId,
+            application: access.application?._id,
+            company: access.application?.companyId
+        }], 'link');
+
+        return res.status(200).json({
+            message: isPhoto ? 'Photo link issued' : 'Resume link issued',
+            url,
+            expiresAt: new Date(Date.now() + RESUME_LINK_TTL_SECONDS * 1000)
+        });
+    } catch (error) {
+        if (/Invalid storage key/.test(error.message)) {
+            return res.status(400).json({ error: 'Invalid resume key' });
+        }
+        console.error('Error issuing resume link:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = { getResumeLink };
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Company = require('../models/companies');
+const JobPosting = require('../models/jobPosting');
+const Application = require('../models/application');
+const Round = require('../models/round');
+const { isOwnApplication, OWN_APPLICATION_ERROR } = require('../utils/applicationStatus');
+
+const ROUND_TYPES = Round.schema.path('type').enumValues;
+const ROUND_RESULTS = Round.schema.path('candidates').schema.path('result').enumValues;
+
+// Validate round fields from a request body and build the data to save.
+// `existing` is the round being updated (undefined on create); returns { data } or { error }.
+const buildRoundData = (body, existing) => {
+    const { name, type, sequence, scheduledAt, durationMinutes, venue, meetingLink, instructions } = body;
+    const data = {};
+
+    if (!existing && (!name || !scheduledAt)) {
+        return { error: 'Missing required fields: name and scheduledAt are required' };
+    }
+    if (name) data.name = name.toString().trim();
+
+    if (type) {
+        if (!ROUND_TYPES.includes(type)) {
+            return { error: `Invalid type. Must be one of: ${ROUND_TYPES.join(', ')}` };
+        }
+        data.type = type;
+    }
+
+    if (sequence !== undefined && sequence !== null && sequence !== '') {
+        const seq = parseInt(sequence, 10);
+        if (isNaN(seq) || seq < 1) {
+            return { error: 'Sequence must be a positive integer' };
+        }
+        data.sequence = seq;
+    }
+
+    if (scheduledAt !== undefined) {
+        const date = new Date(scheduledAt);
+        if (isNaN(date.getTime())) {
+            return { error: 'scheduledAt must be a valid date' };
+        }
+        data.scheduledAt = date;
+    }
+
+    if (durationMinutes !== undefined && durationMinutes !== null && durationMinutes !== '') {
+        if (isNaN(durationMinutes) || durationMinutes < 0) {
+            return { error: 'Duration must be a positive number of minutes' };
+        }
+        data.durationMinutes = parseInt(durationMinutes, 10);
+    }
+
+    if (venue !== undefined) data.venue = venue.toString().trim();
+    if (meetingLink !== undefined) {
+        const link = meetingLink.toString().trim();
+        if (link && !/^https?:\/\//i.test(link)) {
+            return { error: 'Meeting link must be an http(s) URL' };
+        }
+        data.meetingLink = link;
+    }
+    if (instructions !== undefined) data.instructions = instructions.toString().trim();
+
+    // A round has to happen somewhere
+    const nextVenue = data.venue !== undefined ? data.venue : existing?.venue;
+    const nextLink = data.meetingLink !== undefined ? data.meetingLink : existing?.meetingLink;
+    if (!nextVenue && !nextLink) {
+        return { error: 'Either a venue or a meeting link is required' };
+    }
+
+    return { data };
+};
+
+// Schedule a round for a company's drive
+const createRound = async (req, res) => {
+    try {
+        const { id: companyId } = req.params;
+        const { postingId } = req.body;
+
+        const company = await Company.findById(companyId);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        if (postingId) {
+            const posting = await JobPosting.findOne({ _id: postingId, companyId });
+            if (!posting) {
+                return res.status(404).json({ error: 'Job posting not found for this company' });
+            }
+        }
+
+        const { data, error } = buildRoundData(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const round = await new Round({ ...data, companyId, postingId: postingId || undefined }).save();
+
+        return res.status(201).json({
+            message: 'Round scheduled successfully',
+            round
+        });
+    } catch (error) {
+        console.error('Error creating round:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Get all rounds of a company's drive, in order
+const getCompanyRounds = async (req, res) => {
+    try {
+        const { id: companyId } = req.params;
+
+        const company = await Company.findById(companyId);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const rounds = await Round.find({ companyId })
+            .populate('postingId', 'title')
+            .populate('candidates.userId', 'name email details.rollNo')
+            .sort({ sequence: 1, scheduledAt: 1 });
+
+        return res.status(200).json({
+            message: 'Rounds retrieved successfully',
+            count: rounds.length,
+            rounds
+        });
+    } catch (error) {
+        console.error('Error fetching rounds:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid company ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Reschedule or edit a round
+const updateRound = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingRound = await Round.findById(id);
+        if (!existingRound) {
+            return res.status(404).json({ error: 'Round not found' });
+        }
+
+        const { data, error } = buildRoundData(req.body, existingRound);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const updatedRound = await Round.findByIdAndUpdate(
+            id,
+            data,
+            { new: true, runValidators: true }
+        );
+
+        return res.status(200).json({
+            message: 'Round updated successfully',
+            round: updatedRound
+        });
+    } catch (error) {
+        console.error('Error updating round:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid round ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Cancel a round
+const deleteRound = async (req, res) => {
+    try {
+        const round = await Round.findByIdAndDelete(req.params.id);
+        if (!round) {
+            return res.status(404).json({ error: 'Round not found' });
+        }
+
+        return res.status(200).json({
+            message: 'Round deleted successfully',
+            deletedRound: { id: round._id, name: round.name, companyId: round.companyId }
+        });
+    } catch (error) {
+        console.error('Error deleting round:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid round ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Assign candidates to a round and its time slots.
+// Body: { assignments: [{ applicationId, slotStart, slotEnd }] }; re-assigning moves the slot.
+const assignRoundCandidates = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { assignments } = req.body;
+
+        if (!Array.isArray(assignments) || assignments.length === 0) {
+            return res.status(400).json({ error: 'assignments must be a non-empty array' });
+        }
+
+        const round = await Round.findById(id);
+        if (!round) {
+            return res.status(404).json({ error: 'Round not found' });
+        }
+
+        const errors = [];
+        const parsed = [];
+        assignments.forEach((a, i) => {
+            if (!a || !mongoose.isValidObjectId(a.applicationId)) {
+                errors.push(`Assignment ${i + 1}: invalid applicationId`);
+                return;
+            }
+            const slotStart = a.slotStart ? new Date(a.slotStart) : undefined;
+            const slotEnd = a.slotEnd ? new Date(a.slotEnd) : undefined;
+            if ((slotStart && isNaN(slotStart)) || (slotEnd && isNaN(slotEnd))) {
+                errors.push(`Assignment ${i + 1}: slotStart and slotEnd must be valid dates`);
+                return;
+            }
+            if (slotStart && slotEnd && slotEnd <= slotStart) {
+                errors.push(`Assignment ${i + 1}: slotEnd must be after slotStart`);
+                return;
+            }
+            parsed.push({ applicationId: a.applicationId.toString(), slotStart, slotEnd });
+        });
+
+        // Candidates must have an active application to this drive
+        const filter = { _id: { $in: parsed.map(a => a.applicationId) }, companyId: round.companyId };
+        if (round.postingId) filter.postingId = round.postingId;
+        const applications = await Application.find(filter).select('userId status');
+        const applicationMap = new Map(applications.map(app => [app._id.toString(), app]));
+
+        for (const a of parsed) {
+            const application = applicationMap.get(a.applicationId);
+            if (!application) {
+                errors.push(`Application ${a.applicationId}: not an application to this drive`);
+            } else if (['rejected', 'withdrawn'].includes(application.status)) {
+                errors.push(`Application ${a.applicationId}: application is ${application.status}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation errors found',
+                details: errors
+            });
+        }
+
+        for (const a of parsed) {
+            const application = applicationMap.get(a.applicationId);
+            const existing = round.candidates.find(c => c.applicationId.toString() === a.applicationId);
+            if (existing) {
+                existing.slotStart = a.slotStart;
+                existing.slotEnd = a.slotEnd;
+            } else {
+                round.candidates.push({
+                    applicationId: application._id,
+                    userId: application.userId,
+                    slotStart: a.slotStart,
+                    slotEnd: a.slotEnd
+                });
+            }
+        }
+
+        await round.save();
+
+        return res.status(200).json({
+            message: 'Candidates assigned successfully',
+            assigned: parsed.length,
+            round
+        });
+    } catch (error) {
+        console.error('Error assigning round candidates:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid round ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Record one candidate's result for a round
+const recordRoundResult = async (req, res) => {
+    try {
+        const { id, applicationId } = req.params;
+        const { result, remarks } = req.body;
+
+        if (!ROUND_RESULTS.includes(result)) {
+            return res.status(400).json({ error: `Invalid result. Must be one of: ${ROUND_RESULTS.join(', ')}` });
+        }
+
+        const round = await Round.findById(id);
+        if (!round) {
+            return res.status(404).json({ error: 'Round not found' });
+        }
+
+        const candidate = round.candidates.find(c => c.applicationId.toString() === applicationId);
+        if (!candidate) {
+            return res.status(404).json({ error: 'Candidate is not assigned to this round' });
+        }
+        if (isOwnApplication(candidate, req.user.id)) {
+            return res.status(403).json({ error: OWN_APPLICATION_ERROR });
+        }
+
+        candidate.result = result;
+        if (remarks !== undefined) candidate.remarks = remarks.toString().trim();
+        candidate.resultUpdatedAt = new Date();
+        await round.save();
+
+        return res.status(200).json({
+            message: 'Round result recorded successfully',
+            roundId: round._id,
+            candidate
+        });
+    } catch (error) {
+        console.error('Error recording round result:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid round ID format' });
+        }
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = {
+    createRound,
+    getCompanyRounds,
+    updateRound,
+    deleteRound,
+    assignRoundCandidates,
+    recordRoundResult
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const LoginEvent = require('../models/loginEvent');
+const AuditLog = require('../models/auditLog');
+const Student = require('../models/students');
+const { unlockLogin } = require('../utils/loginThrottle');
+
+// Lift a login lockout for an account
+const unlockAccount = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const normalizedEmail = email.toString().trim().toLowerCase();
+        const student = await Student.findOne({ email: normalizedEmail }).select('name email');
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found with provided email' });
+        }
+
+        await unlockLogin(normalizedEmail);
+
+        return res.status(200).json({
+            message: 'Account unlocked successfully',
+            student: { id: student._id, name: student.name, email: student.email }
+        });
+    } catch (error) {
+        console.error('Error unlocking account:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Review login events (?email=, ?ip=, ?success=true|false, ?from=, ?to=, ?page=, ?limit=)
+const getLoginEvents = async (req, res) => {
+    try {
+        const { email, ip, success, from, to } = req.query;
+
+        const filter = {};
+        if (email) filter.email = email.toString().trim().toLowerCase();
+        if (ip) filter.ip = ip.toString().trim();
+        if (success === 'true' || success === 'false') filter.success = success === 'true';
+        if (from || to) {
+            filter.createdAt = {};
+            for (const [key, op] of [[from, '$gte'], [to, '$lte']]) {
+                if (!key) continue;
+                const date = new Date(key);
+                if (isNaN(date.getTime())) {
+                    return res.status(400).json({ error: 'from and to must be valid dates' });
+                }
+                filter.createdAt[op] = date;
+            }
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const [events, total] = await Promise.all([
+            LoginEvent.find(filter)
+                .populate('userId', 'name email role')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            LoginEvent.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            message: 'Login events retrieved successfully',
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            events
+        });
+    } catch (error) {
+        console.error('Error fetching login events:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query the audit log (?actor= id or email, ?action= exact action or a prefix such as "company",
+// ?targetType=, ?targetId=, ?from=, ?to=, ?page=, ?limit=)
+const getAuditLogs = async (req, res) => {
+    try {
+        const { actor, action, targetType, targetId, from, to } = req.query;
+
+        const filter = {};
+        if (actor) {
+            const value = actor.toString().trim();
+            if (mongoose.isValidObjectId(value)) {
+                filter.actor = value;
+            } else {
+                const user = await Student.findOne({ email: new RegExp(`^${escapeRegex(value)}$`, 'i') }).select('_id');
+                if (!user) {
+                    return res.status(404).json({ error: 'No user found for the given actor' });
+                }
+                filter.actor = user._id;
+            }
+        }
+        if (action) {
+            const value = action.toString().trim();
+            // "company" matches company.create, company.update, ...
+            filter.action = value.includes('.') ? value : new RegExp(`^${escapeRegex(value)}\\.`);
+        }
+        if (targetType) filter.targetType = targetType.toString().trim();
+        if (targetId) {
+            if (!mongoose.isValidObjectId(targetId)) {
+                return res.status(400).json({ error: 'Invalid target ID format' });
+            }
+            filter.targetId = targetId;
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            for (const [key, op] of [[from, '$gte'], [to, '$lte']]) {
+                if (!key) continue;
+                const date = new Date(key);
+                if (isNaN(date.getTime())) {
+                    return res.status(400).json({ error: 'from and to must be valid dates' });
+                }
+                filter.createdAt[op] = date;
+            }
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .populate('actor', 'name email role')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            message: 'Audit log retrieved successfully',
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            entries
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = { unlockAccount, getLoginEvents, getAuditLogs };
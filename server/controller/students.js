@@ -1,12 +1,41 @@
 const fs = require('fs/promises');
-const cloudinary = require('../utils/cloudinary');
 const Student = require('../models/students');
 const Company = require('../models/companies');
 const Application = require('../models/application');
-const { getCloudinaryId } = require('../utils/helperPublicId');
+const JobPosting = require('../models/jobPosting');
+const Round = require('../models/round');
+const Offer = require('../models/offer');
+const { checkPlacementPolicy } = require('../utils/placementPolicy');
+const {
+    storeResume,
+    resumeLink,
+    getResumeLibrary,
+    addResumeToLibrary,
+    replaceDefaultResume,
+    destroyUnsharedResumes
+} = require('../utils/resumes');
+const { applyStatusChange } = require('../utils/applicationStatus');
+const {
+    closeOfferedApplication,
+    expireStaleOffers,
+    isOfferPastDeadline,
+    offerResponseError
+} = require('../utils/offers');
+const { issueSession, revokeUserSessions } = require('../utils/tokens');
+const { checkPasswordStrength } = require('../utils/passwordPolicy');
+const { checkEligibility } = require('../utils/eligibility');
+const { getWindowState, openWindowFilter } = require('../utils/applicationWindow');
+const {
+    PHOTO_FOLDER,
+    PHOTO_TYPES,
+    MAX_PHOTO_BYTES,
+    getMissingProfileItems,
+    isProfileComplete,
+    parseProfileDetails
+} = require('../utils/profile');
+const { storage: fileStorage, newKey } = require('../utils/storage');
 const multer = require("multer");
 const path = require("path");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 
 // Configure multer for file upload
@@ -17,12 +46,21 @@ const storage = multer.diskStorage({
     filename: function (req, file, cb) {
         // Create unique filename with timestamp
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'resume-' + uniqueSuffix + path.extname(file.originalname));
+        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
     }
 });
 
 
 const fileFilter = (req, file, cb) => {
+    // Profile photos are images
+    if (file.fieldname === 'photo') {
+        if (PHOTO_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Photo must be a JPEG, PNG or WebP image!'), false);
+        }
+        return;
+    }
     // Accept only PDF files
     if (file.mimetype === 'application/pdf') {
         cb(null, true);
@@ -39,30 +77,20 @@ const upload = multer({
     }
 });
 
-// Helper function to generate JWT token
-const generateToken = (userId, role, isProfileCompleted) => {
-    return jwt.sign(
-        {
-            id: userId,
-            role: role,
-            isProfileCompleted: isProfileCompleted
-        },
-        process.env.JWT_SECRET || 'your-secret-key', // Make sure to set this in your .env file
-        { expiresIn: '30d' }
-    );
-};
-
-// Helper function to check if profile is completed
-const checkProfileCompletion = (student) => {
-    const { details, defaultResume } = student;
-    return !!(
-        details?.rollNo &&
-        details?.semester &&
-        details?.course &&
-        details?.graduationYear &&
-        defaultResume
-    );
-};
+// Profile as returned to the student, with what is still missing for a complete profile
+const toProfile = (student) => ({
+    id: student._id,
+    name: student.name,
+    email: student.email,
+    role: student.role,
+    isProfileCompleted: isProfileComplete(student),
+    missingFields: getMissingProfileItems(student),
+    details: student.details ? student.details : {},
+    defaultResume: student.defaultResume ? student.defaultResume : null,
+    defaultResumeUrl: resumeLink(student.defaultResume),
+    // Photos go through the same checked and logged link route as resumes
+    photoUrl: resumeLink(student.details?.photo)
+});
 
 
 // Get current user profile
@@ -78,22 +106,11 @@ const getUserProfile = async (req, res) => {
             });
         }
 
-        // Check profile completion
-        const isProfileCompleted = checkProfileCompletion(student);
-
         res.status(200).json({
             success: true,
             message: "Profile found",
             data: {
-                user: {
-                    id: student._id,
-                    name: student.name,
-                    email: student.email,
-                    role: student.role,
-                    isProfileCompleted: isProfileCompleted,
-                    details: student.details ? student.details : {},
-                    defaultResume: student.defaultResume ? student.defaultResume : null
-                }
+                user: toProfile(student)
             }
         });
 
@@ -107,12 +124,33 @@ const getUserProfile = async (req, res) => {
     }
 };
 
-// Update student profile
+// Update student profile. Any subset of fields can be sent; an incomplete profile is saved
+// as is and the response lists what is still missing (see config/profileRequirements.js).
+// Optional files: `resume` (PDF) and `photo` (image); send photo='' to remove the photo.
 const updateProfile = async (req, res) => {
-    let tempPath;
+    const uploaded = Object.values(req.files || {}).flat();
+    let storedPhoto;
     try {
         const userId = req.user.id;
-        const { name, rollNo, semester, course, graduationYear, oldPassword, newPassword } = req.body;
+        const { name, oldPassword, newPassword } = req.body;
+        const resumeFile = req.files?.resume?.[0];
+        const photoFile = req.files?.photo?.[0];
+        let passwordChanged = false;
+
+        const { details, errors } = parseProfileDetails(req.body);
+        if (name !== undefined && !String(name).trim()) {
+            errors.push('Name cannot be empty');
+        }
+        if (photoFile && photoFile.size > MAX_PHOTO_BYTES) {
+            errors.push(`Photo must be at most ${MAX_PHOTO_BYTES / (1024 * 1024)}MB`);
+        }
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Some profile fields are invalid",
+                errors
+            });
+        }
 
         const student = await Student.findById(userId);
         if (!student) {
@@ -131,80 +169,99 @@ const updateProfile = async (req, res) => {
                     message: "Old password is incorrect"
                 });
             }
+            const failures = checkPasswordStrength(newPassword, student);
+            if (failures.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Password is too weak",
+                    reasons: failures
+                });
+            }
             const salt = await bcrypt.genSalt(10);
             student.password = await bcrypt.hash(newPassword, salt);
+            student.mustChangePassword = false;
+            passwordChanged = true;
         }
 
-        // Update fields
-        if (name) student.name = name;
-        if (rollNo !== undefined) student.details.rollNo = rollNo;
-        if (semester !== undefined) student.details.semester = semester;
-        if (course !== undefined) student.details.course = course;
-        if (graduationYear !== undefined) student.details.graduationYear = graduationYear;
-
-        // Handle resume upload if file provided
-        if (req.file && req.file.path) {
-            tempPath = req.file.path;
-
-            // Delete previous resume from Cloudinary if exists
-            if (student.defaultResume) {
-                const { publicId, resourceType } = getCloudinaryId(student.defaultResume);
-                if (publicId) {
-                    try {
-                        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'raw' });
-                    } catch {
-                        // Ignore Cloudinary deletion errors
-                    }
-                }
+        // Update only the fields that were sent
+        if (name !== undefined) student.name = String(name).trim();
+        for (const [field, value] of Object.entries(details)) {
+            student.set(`details.${field}`, value);
+        }
+
+        // A resume upload replaces the default resume (see updateDefaultResume)
+        let replacedResume;
+        if (resumeFile) {
+            const { replacedKey, error } = await replaceDefaultResume(student, resumeFile, req.body.resumeName);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
             }
+            replacedResume = replacedKey;
+        }
 
-            // Upload new resume to Cloudinary
-            const uploadResult = await cloudinary.uploader.upload(tempPath, {
-                folder: 'placement/resumes',
-                resource_type: 'raw'
-            });
-            student.defaultResume = uploadResult.secure_url;
+        let replacedPhoto;
+        if (photoFile || req.body.photo === '') {
+            replacedPhoto = student.details?.photo;
+            if (photoFile) {
+                storedPhoto = newKey(PHOTO_FOLDER, photoFile.mimetype, 'photo');
+                await fileStorage.put(storedPhoto, photoFile.path, { contentType: photoFile.mimetype });
+            }
+            student.set('details.photo', storedPhoto);
         }
 
-        // Check profile completion after update
-        const isProfileCompleted = checkProfileCompletion(student);
-        student.profileIsCompleted = isProfileCompleted;
+        // profileIsCompleted is recomputed on save
+        await student.save();
+        storedPhoto = undefined;
 
-        if (student.profileIsCompleted) {
-            await student.save();
-        } else {
-            return res.status(400).json({
-                success: false,
-                message: "Please fill all the required fields to complete your profile"
-            });
+        if (replacedResume) {
+            await destroyUnsharedResumes([replacedResume]).catch(() => {});
+        }
+
+        // The old photo goes once the new one is saved
+        if (replacedPhoto) {
+            fileStorage.delete(replacedPhoto).catch(err => console.error(`Failed to delete photo ${replacedPhoto}:`, err));
+        }
+
+        // A new password logs out every other session; this device gets a fresh one
+        let tokens;
+        if (passwordChanged) {
+            await revokeUserSessions(student._id, 'password changed');
+            student.tokenVersion = (student.tokenVersion || 0) + 1;
+            tokens = await issueSession(student, req);
         }
 
         res.status(200).json({
             success: true,
-            message: "Profile updated successfully",
+            message: student.profileIsCompleted
+                ? "Profile updated successfully"
+                : "Profile saved; complete the missing fields to apply to companies",
             data: {
-                user: {
-                    id: student._id,
-                    name: student.name,
-                    email: student.email,
-                    role: student.role,
-                    isProfileCompleted: isProfileCompleted,
-                    details: student.details,
-                    defaultResume: student.defaultResume
-                }
+                ...(tokens && { token: tokens.accessToken, refreshToken: tokens.refreshToken }),
+                user: toProfile(student)
             }
         });
 
     } catch (error) {
         console.error("Error updating profile:", error);
+        // A photo stored for a profile that was never saved would be orphaned
+        if (storedPhoto) {
+            fileStorage.delete(storedPhoto).catch(err => console.error(`Failed to delete photo ${storedPhoto}:`, err));
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: "Some profile fields are invalid",
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
         res.status(500).json({
             success: false,
             message: "Internal server error",
             error: error.message
         });
     } finally {
-        if (tempPath) {
-            try { await fs.unlink(tempPath); } catch {}
+        for (const file of uploaded) {
+            try { await fs.unlink(file.path); } catch {}
         }
     }
 };
@@ -223,9 +280,37 @@ const getAllCompanies = async (req, res) => {
     }
 
     try {
-        const companies = await Company.find({});
+        // ?open=true limits the list to postings currently accepting applications
+        const onlyOpen = String(req.query.open).toLowerCase() === 'true';
+        const now = new Date();
+        const [companies, postings] = await Promise.all([
+            Company.find({}),
+            JobPosting.find(onlyOpen ? openWindowFilter(now) : {}).sort({ createdAt: -1 })
+        ]);
+
+        // Mark each posting with whether the calling student meets its eligibility rules
+        const student = await Student.findById(req.user.id).select('details');
+        const postingsByCompany = new Map();
+        for (const posting of postings) {
+            const { eligible, reasons } = checkEligibility(student, posting.eligibility);
+            const key = posting.companyId.toString();
+            if (!postingsByCompany.has(key)) postingsByCompany.set(key, []);
+            postingsByCompany.get(key).push({
+                ...posting.toObject(),
+                isEligible: eligible,
+                ineligibilityReasons: reasons,
+                applicationWindow: getWindowState(posting, now)
+            });
+        }
 
-        if (!companies || companies.length === 0) {
+        const data = companies
+            .map(company => ({
+                ...company.toObject(),
+                postings: postingsByCompany.get(company._id.toString()) || []
+            }))
+            .filter(company => !onlyOpen || company.postings.length > 0);
+
+        if (data.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: "No companies are visiting right now"
@@ -235,7 +320,7 @@ const getAllCompanies = async (req, res) => {
         res.status(200).json({
             success: true,
             message: "Companies retrieved successfully",
-            data: companies
+            data
         });
     } catch (error) {
         console.error("Error fetching companies:", error);
@@ -247,7 +332,7 @@ const getAllCompanies = async (req, res) => {
     }
 };
 
-// Apply to a company (uploads resume to Cloudinary if provided)
+// Apply to a company's job posting (stores the uploaded resume if provided)
 const applyToCompany = async (req, res) => {
   // If you already gate this route with requireCompleteProfile, this check is redundant.
   if (req.isProfileCompleted === false) {
@@ -257,11 +342,11 @@ const applyToCompany = async (req, res) => {
     });
   }
 
-  const { companyId } = req.params  ;
+  const { postingId } = req.params;
   const studentId = req.user?.id;
 
-  if (!companyId) {
-    return res.status(400).json({ success: false, message: "Company ID is required" });
+  if (!postingId) {
+    return res.status(400).json({ success: false, message: "Job posting ID is required" });
   }
   if (!studentId) {
     return res.status(401).json({ success: false, message: "Unauthorized" });
@@ -270,31 +355,63 @@ const applyToCompany = async (req, res) => {
   let tempFilePath = req.file?.path;
 
   try {
-    const company = await Company.findById(companyId);
-    if (!company) {
-      return res.status(404).json({ success: false, message: "Company not found" });
+    const posting = await JobPosting.findById(postingId).populate('companyId', 'name tier');
+    if (!posting || !posting.companyId) {
+      return res.status(404).json({ success: false, message: "Job posting not found" });
     }
+    const company = posting.companyId;
 
     const student = await Student.findById(studentId);
     if (!student) {
       return res.status(404).json({ success: false, message: "Student not found" });
     }
 
-    const existingApplication = await Application.findOne({ userId: studentId, companyId });
-    if (existingApplication) {
-      return res.status(400).json({ success: false, message: "You have already applied to this company" });
+    const applicationWindow = getWindowState(posting);
+    if (!applicationWindow.isOpen) {
+      return res.status(400).json({
+        success: false,
+        message: applicationWindow.status === 'upcoming'
+          ? `Applications for this posting open at ${applicationWindow.opensAt.toISOString()}`
+          : `Applications for this posting closed at ${applicationWindow.closesAt.toISOString()}`
+      });
     }
 
-    // Decide resume URL: upload file to Cloudinary if present; else use defaultResume
-    let resumeUrl;
-    if (tempFilePath) {
-      const upload = await cloudinary.uploader.upload(tempFilePath, {
-        folder: 'placement/resumes',
-        resource_type: 'auto' // supports pdf/doc/image
+    const { eligible, reasons } = checkEligibility(student, posting.eligibility);
+    if (!eligible) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not eligible to apply to this posting",
+        reasons
       });
-      resumeUrl = upload.secure_url;
+    }
+
+    const policy = await checkPlacementPolicy(studentId, company);
+    if (!policy.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: policy.reason
+      });
+    }
+
+    const existingApplication = await Application.findOne({ userId: studentId, postingId, status: { $ne: 'withdrawn' } });
+    if (existingApplication) {
+      return res.status(400).json({ success: false, message: "You have already applied to this posting" });
+    }
+
+    // Decide resume: a library resume picked with resumeId, else a file uploaded just for this
+    // application, else the default resume
+    let resumeKey;
+    const { resumeId } = req.body || {};
+    if (resumeId) {
+      const picked = getResumeLibrary(student).find(r => r._id.toString() === resumeId.toString());
+      if (!picked) {
+        return res.status(404).json({ success: false, message: "Resume not found in your library" });
+      }
+      resumeKey = picked.key;
+    } else if (tempFilePath) {
+      ({ key: resumeKey } = await storeResume(req.file, { userId: student._id }));
     } else if (student.defaultResume) {
-      resumeUrl = student.defaultResume;
+      resumeKey = student.defaultResume;
     } else {
       return res.status(400).json({
         success: false,
@@ -304,9 +421,11 @@ const applyToCompany = async (req, res) => {
 
     const newApplication = new Application({
       userId: studentId,
-      companyId,
-      resume: resumeUrl,
-      status: "applied"
+      companyId: company._id,
+      postingId: posting._id,
+      resume: resumeKey,
+      status: "applied",
+      statusHistory: [{ from: null, to: "applied", changedBy: studentId }]
     });
 
     await newApplication.save();
@@ -317,6 +436,7 @@ const applyToCompany = async (req, res) => {
       data: {
         applicationId: newApplication._id,
         companyName: company.name,
+        postingTitle: posting.title,
         status: newApplication.status
       }
     });
@@ -344,7 +464,9 @@ const getMyApplications = async (req, res) => {
         const studentId = req.user.id; // Assuming user ID comes from authentication middleware
 
         const applications = await Application.find({ userId: studentId })
-            .populate('companyId', 'name description type stipend')
+            .populate('companyId', 'name description')
+            .populate('postingId', 'title locationType ctc stipend applicationClosesAt')
+            .populate('statusHistory.changedBy', 'name')
             .sort({ createdAt: -1 });
 
         if (!applications || applications.length === 0) {
@@ -354,10 +476,20 @@ const getMyApplications = async (req, res) => {
             });
         }
 
+        // Applications created before status history was tracked only have their submission
+        const data = applications.map(application => {
+            const app = application.toObject();
+            app.timeline = app.statusHistory && app.statusHistory.length
+                ? app.statusHistory
+                : [{ from: null, to: "applied", changedAt: app.createdAt }];
+            delete app.statusHistory;
+            return app;
+        });
+
         res.status(200).json({
             success: true,
             message: "Applications retrieved successfully",
-            data: applications
+            data
         });
 
     } catch (error) {
@@ -371,7 +503,158 @@ const getMyApplications = async (req, res) => {
 };
 
 
-// Update default resume
+// Get the student's upcoming selection rounds (?all=true includes past rounds)
+const getMyRounds = async (req, res) => {
+    try {
+        const studentId = req.user.id;
+        const includePast = String(req.query.all).toLowerCase() === 'true';
+
+        const filter = { 'candidates.userId': studentId };
+        // A round stays "upcoming" for the whole day it is scheduled on
+        if (!includePast) {
+            const startOfToday = new Date();
+            startOfToday.setHours(0, 0, 0, 0);
+            filter.scheduledAt = { $gte: startOfToday };
+        }
+
+        const rounds = await Round.find(filter)
+            .populate('companyId', 'name')
+            .populate('postingId', 'title')
+            .sort({ scheduledAt: 1 });
+
+        // Only expose the calling student's own slot and result
+        const data = rounds.map(round => {
+            const me = round.candidates.find(c => c.userId.toString() === studentId);
+            return {
+                id: round._id,
+                company: round.companyId,
+                posting: round.postingId || null,
+                name: round.name,
+                type: round.type,
+                sequence: round.sequence,
+                scheduledAt: round.scheduledAt,
+                durationMinutes: round.durationMinutes,
+                venue: round.venue,
+                meetingLink: round.meetingLink,
+                instructions: round.instructions,
+                slotStart: me?.slotStart || null,
+                slotEnd: me?.slotEnd || null,
+                result: me?.result || 'pending'
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: data.length ? "Rounds retrieved successfully" : "No upcoming rounds",
+            data
+        });
+    } catch (error) {
+        console.error("Error fetching rounds:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: error.message
+        });
+    }
+};
+
+
+// Get the student's offers
+const getMyOffers = async (req, res) => {
+    try {
+        const studentId = req.user.id;
+        await expireStaleOffers({ userId: studentId });
+
+        const offers = await Offer.find({ userId: studentId })
+            .populate('companyId', 'name tier')
+            .populate('postingId', 'title')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            message: offers.length ? "Offers retrieved successfully" : "No offers yet",
+            data: offers
+        });
+    } catch (error) {
+        console.error("Error fetching offers:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: error.message
+        });
+    }
+};
+
+// Accept or decline one of the student's pending offers
+const respondToOffer = (decision) => async (req, res) => {
+    try {
+        const studentId = req.user.id;
+        const offer = await Offer.findOne({ _id: req.params.id, userId: studentId })
+            .populate('companyId', 'name tier');
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: "Offer not found"
+            });
+        }
+
+        if (isOfferPastDeadline(offer)) {
+            offer.status = 'expired';
+            await closeOfferedApplication(offer, { remark: 'Offer expired' });
+        }
+        const application = await Application.findById(offer.applicationId).select('status');
+        const responseError = offerResponseError(offer, application);
+        if (responseError) {
+            return res.status(400).json({
+                success: false,
+                message: responseError
+            });
+        }
+
+        if (decision === 'accepted') {
+            const policy = await checkPlacementPolicy(studentId, offer.companyId, { excludeOfferId: offer._id });
+            if (!policy.allowed) {
+                return res.status(403).json({
+                    success: false,
+                    message: policy.reason
+                });
+            }
+        }
+
+        offer.status = decision;
+        offer.respondedAt = new Date();
+        if (decision === 'declined') {
+            await closeOfferedApplication(offer, { changedBy: studentId, remark: 'Offer declined' });
+        } else {
+            await offer.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: decision === 'accepted' ? "Offer accepted successfully" : "Offer declined",
+            data: offer
+        });
+    } catch (error) {
+        console.error("Error responding to offer:", error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid offer ID format"
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: error.message
+        });
+    }
+};
+
+const acceptOffer = respondToOffer('accepted');
+const declineOffer = respondToOffer('declined');
+
+
+// Upload a new version of the default resume, replacing its file (body: name to rename it)
 const updateDefaultResume = async (req, res) => {
     let tempPath;
     try {
@@ -395,35 +678,26 @@ const updateDefaultResume = async (req, res) => {
             });
         }
 
-        const previousUrl = student.defaultResume || null;
-
-        // Delete previous resume from Cloudinary
-        if (previousUrl) {
-            const { publicId, resourceType } = getCloudinaryId(previousUrl);
-            if (publicId) {
-                try {
-                    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'raw' });
-                    console.log("Previous resume deleted from Cloudinary");
-                } catch {
-                    console.warn("Failed to delete previous resume from Cloudinary");
-                }
-            }
+        // Replace the default library entry; other resumes are untouched (POST /resumes adds one)
+        const { resume, replacedKey, error } = await replaceDefaultResume(student, req.file, req.body.name);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
-
-        // Upload new resume
-        const uploadResult = await cloudinary.uploader.upload(tempPath, {
-            folder: 'placement/resumes',
-            resource_type: 'raw'
-        });
-
-        student.defaultResume = uploadResult.secure_url;
-        student.profileIsCompleted = checkProfileCompletion(student);
+        student.profileIsCompleted = isProfileComplete(student);
         await student.save();
 
+        // Applications made with the old file keep it
+        if (replacedKey) {
+            await destroyUnsharedResumes([replacedKey]).catch(() => {});
+        }
+
         res.status(200).json({
             success: true,
             message: "Default resume updated successfully",
-            data: { resumeUrl: uploadResult.secure_url }
+            data: {
+                resume: toResumeSummary(student, resume),
+                resumeUrl: resumeLink(student.defaultResume)
+            }
         });
     } catch (error) {
         console.error("Error updating default resume:", error);
@@ -439,35 +713,217 @@ const updateDefaultResume = async (req, res) => {
     }
 };
 
-// Delete application by ID
-const deleteApplicationById = async (req, res) => {
+// Library entry as returned to the student, with the path to request a download link
+const toResumeSummary = (student, resume) => ({
+    id: resume._id,
+    name: resume.name,
+    size: resume.size ?? null,
+    uploadedAt: resume.uploadedAt,
+    isDefault: resume.key === student.defaultResume,
+    url: resumeLink(resume.key)
+});
+
+// List the student's resume library
+const getMyResumes = async (req, res) => {
+    try {
+        const student = await Student.findById(req.user.id);
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found" });
+        }
+
+        const library = getResumeLibrary(student);
+        if (student.isModified('resumes')) {
+            await student.save();
+        }
+
+        const resumes = [...library]
+            .sort((a, b) => b.uploadedAt - a.uploadedAt)
+            .map(resume => toResumeSummary(student, resume));
+
+        res.status(200).json({
+            success: true,
+            message: "Resumes retrieved successfully",
+            data: { count: resumes.length, resumes }
+        });
+    } catch (error) {
+        console.error("Error fetching resumes:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+};
+
+// Add a named resume to the library. Body: name, makeDefault
+const uploadResume = async (req, res) => {
+    try {
+        if (!req.file?.path) {
+            return res.status(400).json({ success: false, message: "Please upload a resume file" });
+        }
+
+        const student = await Student.findById(req.user.id);
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found" });
+        }
+
+        const makeDefault = String(req.body.makeDefault).toLowerCase() === 'true';
+        const { resume, error } = await addResumeToLibrary(student, req.file, req.body.name, { makeDefault });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        student.profileIsCompleted = isProfileComplete(student);
+        await student.save();
+
+        res.status(201).json({
+            success: true,
+            message: "Resume added successfully",
+            data: { resume: toResumeSummary(student, resume) }
+        });
+    } catch (error) {
+        console.error("Error uploading resume:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    } finally {
+        if (req.file?.path) {
+            try { await fs.unlink(req.file.path); } catch {}
+        }
+    }
+};
+
+// Make a library resume the default used when applying
+const setDefaultResume = async (req, res) => {
+    try {
+        const student = await Student.findById(req.user.id);
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found" });
+        }
+
+        const resume = getResumeLibrary(student).find(r => r._id.toString() === req.params.resumeId);
+        if (!resume) {
+            return res.status(404).json({ success: false, message: "Resume not found" });
+        }
+
+        student.defaultResume = resume.key;
+        await student.save();
+
+        res.status(200).json({
+            success: true,
+            message: "Default resume updated successfully",
+            data: { resume: toResumeSummary(student, resume) }
+        });
+    } catch (error) {
+        console.error("Error setting default resume:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+};
+
+// Delete a library resume. Blocked while an active (not withdrawn) application uses it;
+// deleting the default makes the most recent remaining resume the default.
+const deleteResume = async (req, res) => {
+    try {
+        const student = await Student.findById(req.user.id);
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found" });
+        }
+
+        const library = getResumeLibrary(student);
+        const resume = library.find(r => r._id.toString() === req.params.resumeId);
+        if (!resume) {
+            return res.status(404).json({ success: false, message: "Resume not found" });
+        }
+
+        const inUse = await Application.find({ userId: student._id, resume: resume.key, status: { $ne: 'withdrawn' } })
+            .populate('companyId', 'name')
+            .populate('postingId', 'title');
+        if (inUse.length) {
+            return res.status(409).json({
+                success: false,
+                message: "This resume is attached to applications and cannot be deleted",
+                data: {
+                    applications: inUse.map(app => ({
+                        applicationId: app._id,
+                        companyName: app.companyId?.name,
+                        postingTitle: app.postingId?.title,
+                        status: app.status
+                    }))
+                }
+            });
+        }
+
+        student.resumes.pull(resume._id);
+        if (student.defaultResume === resume.key) {
+            const latest = [...student.resumes].sort((a, b) => b.uploadedAt - a.uploadedAt)[0];
+            student.defaultResume = latest ? latest.key : undefined;
+        }
+        await student.save();
+
+        // Withdrawn applications keep their file on record
+        try {
+            await destroyUnsharedResumes([resume.key], { ignoreStudentIds: [student._id] });
+        } catch {
+            // Ignore storage deletion errors
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Resume deleted successfully",
+            data: { deletedResumeId: resume._id, defaultResume: student.defaultResume || null }
+        });
+    } catch (error) {
+        console.error("Error deleting resume:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+};
+
+// Withdraw one of the student's own applications.
+// Only allowed while the posting is open and nobody has acted on the application yet;
+// the application is kept with status "withdrawn" rather than deleted.
+const withdrawApplication = async (req, res) => {
     try {
         const { id } = req.params;
+        const studentId = req.user.id;
 
-        // Find the application
-        const application = await Application.findById(id);
+        // Only the owning student can see or withdraw the application
+        const application = await Application.findOne({ _id: id, userId: studentId }).populate('postingId');
         if (!application) {
             return res.status(404).json({ success: false, message: "Application not found" });
         }
 
-        // Delete resume from Cloudinary if present
-        if (application.resume) {
-            const { publicId, resourceType } = getCloudinaryId(application.resume);
-            if (publicId) {
-                try {
-                    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'raw' });
-                } catch {
-                    // Ignore Cloudinary deletion errors
-                }
-            }
+        if (application.status !== 'applied') {
+            return res.status(400).json({
+                success: false,
+                message: `Only applications with status 'applied' can be withdrawn (this one is '${application.status}')`
+            });
         }
 
-        // Delete the application from DB
-        await Application.findByIdAndDelete(id);
+        const applicationWindow = getWindowState(application.postingId);
+        if (!application.postingId || !applicationWindow.isOpen) {
+            return res.status(400).json({
+                success: false,
+                message: "Applications can only be withdrawn while the posting is open"
+            });
+        }
 
-        return res.status(200).json({ success: true, message: "Application deleted successfully" });
+        const transitionError = applyStatusChange(application, 'withdrawn', {
+            changedBy: studentId,
+            remark: req.body?.reason
+        });
+        if (transitionError) {
+            return res.status(400).json({ success: false, message: transitionError });
+        }
+        // The withdrawn record keeps its resume; the file goes only when the application is deleted
+        await application.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Application withdrawn successfully",
+            data: {
+                applicationId: application._id,
+                status: application.status,
+                withdrawnAt: application.statusHistory[application.statusHistory.length - 1].changedAt
+            }
+        });
     } catch (error) {
-        console.error("Error deleting application:", error);
+        console.error("Error withdrawing application:", error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ success: false, message: "Invalid application ID format" });
+        }
         return res.status(500).json({ success: false, message: "Internal server error" });
     }
 };
@@ -478,7 +934,15 @@ module.exports = {
     getAllCompanies,
     applyToCompany,
     getMyApplications,
+    getMyRounds,
+    getMyOffers,
+    acceptOffer,
+    declineOffer,
     updateDefaultResume,
-    deleteApplicationById,
+    getMyResumes,
+    uploadResume,
+    setDefaultResume,
+    deleteResume,
+    withdrawApplication,
     upload // Export multer instance for use in routes
 };
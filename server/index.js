@@ -11,22 +11,30 @@ dotenv.config();
 const coordinatorRoutes = require('./routes/coordinatorRoutes');
 const studentRoutes = require('./routes/studentRoutes');
 const authRoutes = require('./routes/authRoutes');
+const recruiterRoutes = require('./routes/recruiterRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const resumeRoutes = require('./routes/resumeRoutes');
 
 const app = express();
 
-// Create uploads directory if it doesn't exist
+// Create the directory for temporary uploads if it doesn't exist. Files there are never served;
+// stored resumes are only reachable through signed links from /api/resumes
 const uploadsDir = path.join(process.cwd(), 'uploads', 'resumes');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+// used for per-IP login throttling
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors({ origin: "*" }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
-
 app.get('/', (req, res) => {
   res.send('API is running...');
 });
@@ -45,6 +53,9 @@ async function start() {
   app.use('/api/coordinators', coordinatorRoutes);
   app.use('/api/students', studentRoutes);
   app.use('/api/auth', authRoutes);
+  app.use('/api/recruiters', recruiterRoutes);
+  app.use('/api/files', fileRoutes);
+  app.use('/api/resumes', resumeRoutes);
   
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
@@ -0,0 +1,111 @@
+// Audit middleware for mutating coordinator/admin routes.
+// Snapshots the target document before the handler runs and again once the response has been
+// sent, then appends an AuditLog entry with the changed fields. Only successful requests are
+// logged, and a failure to write the log never affects the response.
+const AuditLog = require('../models/auditLog');
+
+// Never copy these into the log; a change is recorded as redacted
+const REDACTED_FIELDS = ['password', 'refreshTokenHash', 'tokenHash'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Flatten a JSON document into { 'a.b': value }; arrays are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+            flatten(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+        return out;
+    }
+    out[prefix] = value;
+    return out;
+};
+
+// JSON-friendly copy (ObjectIds and dates become strings)
+const plain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// List the fields that differ between two snapshots (either may be null for create/delete)
+const diffDocuments = (before, after) => {
+    const a = flatten(plain(before) || {});
+    const b = flatten(plain(after) || {});
+    const changes = [];
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+        const redacted = REDACTED_FIELDS.includes(field.split('.').pop());
+        changes.push({
+            field,
+            from: redacted ? '[redacted]' : a[field],
+            to: redacted ? '[redacted]' : b[field]
+        });
+    }
+    return changes;
+};
+
+const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// findTarget for routes that name a user by req.body.email
+const byEmail = (req) => (req.body?.email
+    ? { email: new RegExp(`^${escapeRegex(req.body.email.toString().trim())}$`, 'i') }
+    : null);
+
+// audit(action, options)
+//   model:      Mongoose model of the target, used for the before/after snapshots
+//   targetType: label stored with the entry (defaults to the model name)
+//   findTarget: (req) => filter locating the target before the change (default: { _id: req.params.id })
+//   targetFromResponse: (req, body) => id of the target when it only exists afterwards (creates)
+//   metadata:   (req, body) => summary stored with the entry
+//   skip:       (req, body) => true to not log (e.g. dry runs)
+const audit = (action, options = {}) => async (req, res, next) => {
+    const { model, findTarget, targetFromResponse, metadata, skip } = options;
+    const targetType = options.targetType || model?.modelName;
+
+    let before = null;
+    try {
+        const defaultFilter = !targetFromResponse && req.params.id ? { _id: req.params.id } : null;
+        const filter = findTarget ? findTarget(req) : defaultFilter;
+        if (model && filter) {
+            before = await model.findOne(filter).lean();
+        }
+    } catch (err) {
+        // Invalid IDs are the handler's to report
+        before = null;
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+        body = payload;
+        return json(payload);
+    };
+
+    res.on('finish', async () => {
+        if (res.statusCode >= 400 || !req.user) return;
+        try {
+            if (skip && skip(req, body || {})) return;
+
+            const targetId = before?._id || (targetFromResponse && targetFromResponse(req, body || {})) || undefined;
+            const after = model && targetId ? await model.findById(targetId).lean() : null;
+
+            await AuditLog.create({
+                actor: req.user.id,
+                actorRole: req.user.role,
+                action,
+                targetType,
+                targetId,
+                changes: model ? diffDocuments(before, after) : [],
+                metadata: metadata ? plain(metadata(req, body || {})) : undefined,
+                method: req.method,
+                path: req.originalUrl,
+                statusCode: res.statusCode,
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            });
+        } catch (err) {
+            console.error(`Error writing audit log for ${action}:`, err);
+        }
+    });
+
+    next();
+};
+
+module.exports = { audit, byEmail, diffDocuments };
@@ -1,16 +1,11 @@
 // Authentication middleware for JWT tokens
-const jwt = require('jsonwebtoken');
 const Student = require('../models/students');
+const { verifyAccessToken, isSessionActive, PASSWORD_CHANGE_SCOPE } = require('../utils/tokens');
+const { CAPABILITIES, STAFF_ROLES, hasCapability } = require('../config/permissions');
 
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-    console.error('FATAL: JWT_SECRET is not set. Set process.env.JWT_SECRET and restart.');
-    // Throw so app won't start silently with insecure default
-    throw new Error('Missing required environment variable: JWT_SECRET');
-}
-
-// Generic authenticate middleware — accepts any role (student or coordinator)
-const authenticate = async (req, res, next) => {
+// Builds the authenticate middleware. Accounts that must change their password only get a
+// limited token, which is accepted only when `allowPasswordChange` is set (change-password route).
+const buildAuthenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
     try {
         const authHeader = req.header('Authorization');
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -24,7 +19,7 @@ const authenticate = async (req, res, next) => {
 
         let decoded;
         try {
-            decoded = jwt.verify(token, JWT_SECRET);
+            decoded = verifyAccessToken(token);
         } catch (err) {
             if (err.name === 'TokenExpiredError') {
                 return res.status(401).json({
@@ -47,11 +42,34 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        const isLimitedToken = decoded.scope === PASSWORD_CHANGE_SCOPE;
+
+        // Reject tokens from revoked sessions or issued before a password/role change
+        const sessionValid = isLimitedToken
+            ? user.mustChangePassword
+            : await isSessionActive(decoded.sid);
+        if (decoded.tv !== (user.tokenVersion || 0) || !sessionValid) {
+            return res.status(401).json({
+                success: false,
+                message: "Session has been revoked. Please log in again."
+            });
+        }
+
+        if ((isLimitedToken || user.mustChangePassword) && !allowPasswordChange) {
+            return res.status(403).json({
+                success: false,
+                passwordChangeRequired: true,
+                message: "You must change your password before continuing"
+            });
+        }
+
         // Attach minimal user info to req.user
         req.user = {
             id: user._id.toString(),
             role: user.role,
-            isProfileCompleted: !!user.profileIsCompleted
+            isProfileCompleted: !!user.profileIsCompleted,
+            sessionId: decoded.sid,
+            companyId: user.company ? user.company.toString() : undefined
         };
 
         next();
@@ -64,11 +82,17 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+// Generic authenticate middleware — accepts any role (student or coordinator)
+const authenticate = buildAuthenticate();
+
+// Also accepts the limited token issued to accounts that must change their password
+const authenticateForPasswordChange = buildAuthenticate({ allowPasswordChange: true });
+
 // Student-only middleware that reuses authenticate
 const authenticateStudent = (req, res, next) => {
     // call authenticate, then enforce role check
     authenticate(req, res, () => {
-        if (!req.user || req.user.role !== 'student') {
+        if (!req.user || !hasCapability(req.user.role, CAPABILITIES.APPLY)) {
             return res.status(403).json({
                 success: false,
                 message: "Access denied. Student access only."
@@ -89,17 +113,43 @@ const requireCompleteProfile = (req, res, next) => {
     next();
 };
 
-// Middleware to check if user is a coordinator (expects req.user set by authenticate)
+// Middleware to check if user is placement staff of any kind (expects req.user set by authenticate);
+// what they may do on each route is checked with requirePermission
 const requireCoordinator = (req, res, next) => {
-    if (!req.user || req.user.role !== 'coordinator') {
+    if (!req.user || !STAFF_ROLES.includes(req.user.role)) {
         return res.status(403).json({ error: 'Forbidden: coordinator access only' });
     }
     next();
 };
 
+// Recruiter-only middleware (expects req.user set by authenticate). Sets req.companyScope,
+// which the shared applicant handlers use instead of a company ID from the URL
+const requireRecruiter = (req, res, next) => {
+    if (!req.user || !hasCapability(req.user.role, CAPABILITIES.RECRUIT)) {
+        return res.status(403).json({ error: 'Forbidden: recruiter access only' });
+    }
+    if (!req.user.companyId) {
+        return res.status(403).json({ error: 'Forbidden: recruiter account is not linked to a company' });
+    }
+    req.companyScope = req.user.companyId;
+    next();
+};
+
+// Middleware requiring every listed capability (see config/permissions.js)
+const requirePermission = (...capabilities) => (req, res, next) => {
+    const missing = capabilities.filter(c => !req.user || !hasCapability(req.user.role, c));
+    if (missing.length) {
+        return res.status(403).json({ error: `Forbidden: requires ${missing.join(', ')} permission` });
+    }
+    next();
+};
+
 module.exports = { 
     authenticate,
+    authenticateForPasswordChange,
     authenticateStudent,
     requireCompleteProfile,
-    requireCoordinator 
+    requireCoordinator,
+    requireRecruiter,
+    requirePermission
 };
\ No newline at end of file
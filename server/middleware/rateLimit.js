@@ -0,0 +1,39 @@
+// Simple fixed-window rate limiter kept in process memory
+const rateLimit = ({
+    windowMs = 15 * 60 * 1000,
+    max = 5,
+    keyGenerator = (req) => req.ip,
+    message = 'Too many requests. Please try again later.'
+} = {}) => {
+    const hits = new Map(); // key -> { count, resetAt }
+
+    // Drop finished windows now and then so the map doesn't grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        if (!key) return next();
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000).toString());
+            return res.status(429).json({ success: false, message });
+        }
+        next();
+    };
+};
+
+module.exports = { rateLimit };
@@ -1,5 +1,31 @@
 const mongoose=require("mongoose");
 const { create } = require("./students");
+const { APPLICATION_STATUSES } = require("../utils/applicationStatus");
+
+// One entry per status change, oldest first
+const statusChangeSchema=new mongoose.Schema({
+    from:{
+        type:String,
+        enum:[...APPLICATION_STATUSES,null],
+        default:null
+    },
+    to:{
+        type:String,
+        enum:APPLICATION_STATUSES,
+        required:true
+    },
+    changedBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student"
+    },
+    remark:{
+        type:String
+    },
+    changedAt:{
+        type:Date,
+        default:Date.now
+    }
+},{ _id:false });
 
 const applicationSchema=new mongoose.Schema({
     userId:{
@@ -12,15 +38,26 @@ const applicationSchema=new mongoose.Schema({
         ref:"Company",
         required:true
     },
+    // The posting applied to; companyId is kept alongside it for per-company queries
+    postingId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"JobPosting",
+        required:true
+    },
+    // Storage key of the resume submitted with this application
     resume:{
         type:String,
         required:true
     },
     status:{
         type:String,
-        enum:["applied","interviewing","offered","rejected"],
+        enum:APPLICATION_STATUSES,
         default:"applied"
     },
+    statusHistory:{
+        type:[statusChangeSchema],
+        default:[]
+    },
     createdAt:{
         type:Date,
         default:Date.now
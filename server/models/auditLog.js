@@ -0,0 +1,83 @@
+const mongoose=require("mongoose");
+
+// One coordinator/admin action. Entries are append-only: updates and deletes are refused below
+const auditLogSchema=new mongoose.Schema({
+    actor:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student",
+        required:true
+    },
+    actorRole:{
+        type:String
+    },
+    // e.g. "company.delete", "user.assign_role"
+    action:{
+        type:String,
+        required:true
+    },
+    targetType:{
+        type:String
+    },
+    targetId:{
+        type:mongoose.Schema.Types.ObjectId
+    },
+    // Changed fields of the target, as dotted paths
+    changes:[{
+        _id:false,
+        field:{
+            type:String,
+            required:true
+        },
+        from:{
+            type:mongoose.Schema.Types.Mixed
+        },
+        to:{
+            type:mongoose.Schema.Types.Mixed
+        }
+    }],
+    // Action-specific summary (counts, bulk results) for actions without a single target
+    metadata:{
+        type:mongoose.Schema.Types.Mixed
+    },
+    method:{
+        type:String
+    },
+    path:{
+        type:String
+    },
+    statusCode:{
+        type:Number
+    },
+    ip:{
+        type:String
+    },
+    userAgent:{
+        type:String
+    },
+    createdAt:{
+        type:Date,
+        default:Date.now,
+        immutable:true
+    }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+const refuseChange = function(next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return refuseChange(next);
+    next();
+});
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    auditLogSchema.pre(op, refuseChange);
+}
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+const AuditLog=mongoose.model("AuditLog",auditLogSchema);
+module.exports=AuditLog;
@@ -1,5 +1,6 @@
 const mongoose=require("mongoose");
 
+// A recruiting company; its individual openings live in JobPosting
 const companySchema=new mongoose.Schema({
     name:{
         type:String,
@@ -9,12 +10,11 @@ const companySchema=new mongoose.Schema({
         type:String,
         required:true
     },
-    type:{
-        type:String,
-        enum:["Remote","onsite","hybrid"]
-    },
-    stipend:{
+    // Placement tier used by the higher_tier placement policy; higher is better
+    tier:{
         type:Number,
+        min:0,
+        default:0
     }
 })
 
@@ -0,0 +1,66 @@
+const mongoose=require("mongoose");
+
+// One opening (role) offered by a company; students apply to postings
+const jobPostingSchema=new mongoose.Schema({
+    companyId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Company",
+        required:true
+    },
+    title:{
+        type:String,
+        required:true
+    },
+    description:{
+        type:String
+    },
+    locationType:{
+        type:String,
+        enum:["Remote","onsite","hybrid"]
+    },
+    // Full-time CTC (per annum)
+    ctc:{
+        type:Number,
+        min:0
+    },
+    // Internship stipend (per month)
+    stipend:{
+        type:Number,
+        min:0
+    },
+    // Applications are accepted between these timestamps; unset means no limit on that side
+    applicationOpensAt:{
+        type:Date
+    },
+    applicationClosesAt:{
+        type:Date
+    },
+    // Rules a student must meet to apply; empty/unset rules are not enforced
+    eligibility:{
+        courses:{
+            type:[String],
+            default:undefined
+        },
+        graduationYears:{
+            type:[Number],
+            default:undefined
+        },
+        minCgpa:{
+            type:Number,
+            min:0,
+            max:10
+        },
+        maxBacklogs:{
+            type:Number,
+            min:0
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// The same role title can't be posted twice for one company
+jobPostingSchema.index({ companyId: 1, title: 1 }, { unique: true });
+
+const JobPosting=mongoose.model("JobPosting",jobPostingSchema);
+module.exports=JobPosting;
@@ -0,0 +1,28 @@
+const mongoose=require("mongoose");
+
+// Failed-login counter for one account or client IP (key: "account:<email>" / "ip:<address>")
+const loginAttemptSchema=new mongoose.Schema({
+    key:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    failures:{
+        type:Number,
+        default:0
+    },
+    lastFailureAt:{
+        type:Date
+    },
+    lockedUntil:{
+        type:Date
+    }
+}, {
+    timestamps: true
+});
+
+// Forget counters a day after the last failure
+loginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const LoginAttempt=mongoose.model("LoginAttempt",loginAttemptSchema);
+module.exports=LoginAttempt;
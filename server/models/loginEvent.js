@@ -0,0 +1,41 @@
+const mongoose=require("mongoose");
+
+// One login attempt, successful or not, for coordinators to review
+const loginEventSchema=new mongoose.Schema({
+    // Unset when the email matches no account
+    userId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student"
+    },
+    email:{
+        type:String
+    },
+    success:{
+        type:Boolean,
+        required:true
+    },
+    // Why a login failed (or "password_change_required" for limited logins)
+    reason:{
+        type:String,
+        enum:["unknown_account","invalid_password","locked","throttled","password_change_required",null],
+        default:null
+    },
+    ip:{
+        type:String
+    },
+    userAgent:{
+        type:String
+    },
+    createdAt:{
+        type:Date,
+        default:Date.now
+    }
+});
+
+loginEventSchema.index({ email: 1, createdAt: -1 });
+loginEventSchema.index({ ip: 1, createdAt: -1 });
+// Keep login history for 180 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const LoginEvent=mongoose.model("LoginEvent",loginEventSchema);
+module.exports=LoginEvent;
@@ -0,0 +1,66 @@
+const mongoose=require("mongoose");
+
+// An offer made to a student for one application
+const offerSchema=new mongoose.Schema({
+    applicationId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Application",
+        required:true,
+        unique:true
+    },
+    userId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student",
+        required:true
+    },
+    companyId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Company",
+        required:true
+    },
+    postingId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"JobPosting"
+    },
+    role:{
+        type:String,
+        required:true
+    },
+    // Full-time CTC (per annum)
+    ctc:{
+        type:Number,
+        min:0
+    },
+    // Internship stipend (per month)
+    stipend:{
+        type:Number,
+        min:0
+    },
+    joiningDate:{
+        type:Date
+    },
+    // Pending offers not answered by this time expire
+    acceptBy:{
+        type:Date,
+        required:true
+    },
+    status:{
+        type:String,
+        enum:["pending","accepted","declined","expired","revoked"],
+        default:"pending"
+    },
+    respondedAt:{
+        type:Date
+    },
+    createdBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student"
+    }
+}, {
+    timestamps: true
+});
+
+offerSchema.index({ userId: 1, status: 1 });
+
+const Offer=mongoose.model("Offer",offerSchema);
+module.exports=Offer;
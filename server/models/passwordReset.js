@@ -0,0 +1,33 @@
+const mongoose=require("mongoose");
+
+// A single-use password reset token (only its hash is stored)
+const passwordResetSchema=new mongoose.Schema({
+    userId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student",
+        required:true
+    },
+    tokenHash:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    usedAt:{
+        type:Date
+    },
+    requestedByIp:{
+        type:String
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB drop tokens a day after they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PasswordReset=mongoose.model("PasswordReset",passwordResetSchema);
+module.exports=PasswordReset;
@@ -0,0 +1,74 @@
+const mongoose=require("mongoose");
+
+// One resume (or profile photo) handed to a viewer: a signed link or a file in a zip/resume
+// book download.
+// Entries are append-only: updates and deletes are refused below
+const resumeAccessLogSchema=new mongoose.Schema({
+    viewer:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student",
+        required:true
+    },
+    viewerRole:{
+        type:String
+    },
+    // Storage key of the resume
+    key:{
+        type:String,
+        required:true
+    },
+    kind:{
+        type:String,
+        enum:["resume","photo"],
+        default:"resume"
+    },
+    // Student the resume belongs to
+    student:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student"
+    },
+    application:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Application"
+    },
+    company:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Company"
+    },
+    via:{
+        type:String,
+        enum:["link","zip","book"],
+        required:true
+    },
+    ip:{
+        type:String
+    },
+    userAgent:{
+        type:String
+    },
+    createdAt:{
+        type:Date,
+        default:Date.now,
+        immutable:true
+    }
+});
+
+resumeAccessLogSchema.index({ student: 1, createdAt: -1 });
+resumeAccessLogSchema.index({ viewer: 1, createdAt: -1 });
+resumeAccessLogSchema.index({ key: 1, createdAt: -1 });
+
+const refuseChange = function(next) {
+    next(new Error('Resume access log entries cannot be modified or deleted'));
+};
+
+resumeAccessLogSchema.pre('save', function(next) {
+    if (!this.isNew) return refuseChange(next);
+    next();
+});
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    resumeAccessLogSchema.pre(op, refuseChange);
+}
+resumeAccessLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+const ResumeAccessLog=mongoose.model("ResumeAccessLog",resumeAccessLogSchema);
+module.exports=ResumeAccessLog;
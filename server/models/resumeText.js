@@ -0,0 +1,39 @@
+const mongoose=require("mongoose");
+
+// Text extracted from one stored resume file, for coordinator keyword search
+const resumeTextSchema=new mongoose.Schema({
+    // Storage key of the resume (see utils/storage.js)
+    key:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    userId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student"
+    },
+    status:{
+        type:String,
+        enum:["indexed","empty","unsupported","failed"],
+        required:true
+    },
+    text:{
+        type:String,
+        default:""
+    },
+    pages:{
+        type:Number
+    },
+    error:{
+        type:String
+    },
+    extractedAt:{
+        type:Date,
+        default:Date.now
+    }
+});
+
+resumeTextSchema.index({ userId: 1 });
+
+const ResumeText=mongoose.model("ResumeText",resumeTextSchema);
+module.exports=ResumeText;
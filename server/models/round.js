@@ -0,0 +1,92 @@
+const mongoose=require("mongoose");
+
+const ROUND_TYPES=["online_test","group_discussion","technical","hr","other"];
+const ROUND_RESULTS=["pending","passed","failed","absent"];
+
+// A candidate assigned to a round, with their time slot and outcome
+const roundCandidateSchema=new mongoose.Schema({
+    applicationId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Application",
+        required:true
+    },
+    userId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student",
+        required:true
+    },
+    slotStart:{
+        type:Date
+    },
+    slotEnd:{
+        type:Date
+    },
+    result:{
+        type:String,
+        enum:ROUND_RESULTS,
+        default:"pending"
+    },
+    remarks:{
+        type:String
+    },
+    resultUpdatedAt:{
+        type:Date
+    }
+},{ _id:false });
+
+// One selection round (online test, interview, HR...) of a company's drive
+const roundSchema=new mongoose.Schema({
+    companyId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Company",
+        required:true
+    },
+    // Set when the round only concerns one posting of the company
+    postingId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"JobPosting"
+    },
+    name:{
+        type:String,
+        required:true
+    },
+    type:{
+        type:String,
+        enum:ROUND_TYPES,
+        default:"other"
+    },
+    // Position of the round within the drive (1 = first)
+    sequence:{
+        type:Number,
+        min:1,
+        default:1
+    },
+    scheduledAt:{
+        type:Date,
+        required:true
+    },
+    durationMinutes:{
+        type:Number,
+        min:0
+    },
+    venue:{
+        type:String
+    },
+    meetingLink:{
+        type:String
+    },
+    instructions:{
+        type:String
+    },
+    candidates:{
+        type:[roundCandidateSchema],
+        default:[]
+    }
+}, {
+    timestamps: true
+});
+
+roundSchema.index({ "candidates.userId": 1, scheduledAt: 1 });
+
+const Round=mongoose.model("Round",roundSchema);
+module.exports=Round;
@@ -0,0 +1,48 @@
+const mongoose=require("mongoose");
+
+// A login session backed by a rotating refresh token (only its hash is stored)
+const sessionSchema=new mongoose.Schema({
+    userId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Student",
+        required:true
+    },
+    refreshTokenHash:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    revokedAt:{
+        type:Date
+    },
+    revokedReason:{
+        type:String
+    },
+    // Session created when this one's refresh token was rotated
+    replacedBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Session"
+    },
+    createdByIp:{
+        type:String
+    },
+    userAgent:{
+        type:String
+    },
+    lastUsedAt:{
+        type:Date
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session=mongoose.model("Session",sessionSchema);
+module.exports=Session;
@@ -1,5 +1,7 @@
 // student model
 const mongoose=require("mongoose");
+const { ROLES } = require("../config/permissions");
+const { isProfileComplete } = require("../utils/profile");
 
 const studentSchema=new mongoose.Schema({
     name:{
@@ -18,7 +20,7 @@ const studentSchema=new mongoose.Schema({
     role:{
         type:String,
         required:true,
-        enum:["student","coordinator"]
+        enum:ROLES
     },
     details:{
         rollNo:{
@@ -32,21 +34,95 @@ const studentSchema=new mongoose.Schema({
         },
         graduationYear:{
             type:Number,
+        },
+        cgpa:{
+            type:Number,
+            min:0,
+            max:10
+        },
+        activeBacklogs:{
+            type:Number,
+            min:0,
+            default:0
+        },
+        tenthPercentage:{
+            type:Number,
+            min:0,
+            max:100
+        },
+        twelfthPercentage:{
+            type:Number,
+            min:0,
+            max:100
+        },
+        skills:{
+            type:[String],
+            default:undefined
+        },
+        phone:{
+            type:String,
+            match:/^\+?\d{10,15}$/
+        },
+        linkedin:{
+            type:String,
+        },
+        github:{
+            type:String,
+        },
+        // Storage key of the profile photo
+        photo:{
+            type:String,
         }
     },
+    // Recruiters only: the company they hire for
+    company:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Company"
+    },
+    // Storage key of the resume used when applying without picking one (see utils/storage.js)
     defaultResume:{
         type:String,
     },
+    // Named resumes the student keeps for different roles
+    resumes:[{
+        name:{
+            type:String,
+            required:true,
+            trim:true
+        },
+        key:{
+            type:String,
+            required:true
+        },
+        size:{
+            type:Number
+        },
+        uploadedAt:{
+            type:Date,
+            default:Date.now
+        }
+    }],
     profileIsCompleted:{
         type:Boolean,
         default:false
+    },
+    // Set for bulk-registered accounts until the student picks their own password
+    mustChangePassword:{
+        type:Boolean,
+        default:false
+    },
+    // Bumped to invalidate every access token issued before (password/role changes)
+    tokenVersion:{
+        type:Number,
+        default:0
     }
 }, {
     timestamps: true // This adds createdAt and updatedAt fields
 });
 
+// Completeness follows the configured rule (config/profileRequirements.js)
 studentSchema.pre('save', function(next) {
-    this.profileIsCompleted = !!this.defaultResume;
+    this.profileIsCompleted = isProfileComplete(this);
     next();
 });
 
@@ -2,8 +2,33 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controller/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticateForPasswordChange } = require('../middleware/auth');
+
+// Limit reset requests per client and per target email
+const forgotPasswordIpLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+const forgotPasswordEmailLimit = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyGenerator: (req) => (req.body?.email ? req.body.email.toString().trim().toLowerCase() : null)
+});
 
 // POST /api/auth/login
 router.post('/login', authController.loginStudent);
 
+// POST /api/auth/refresh
+router.post('/refresh', authController.refreshToken);
+
+// POST /api/auth/logout
+router.post('/logout', authController.logout);
+
+// POST /api/auth/forgot-password
+router.post('/forgot-password', forgotPasswordIpLimit, forgotPasswordEmailLimit, authController.forgotPassword);
+
+// POST /api/auth/reset-password
+router.post('/reset-password', rateLimit({ windowMs: 15 * 60 * 1000, max: 10 }), authController.resetPassword);
+
+// POST /api/auth/change-password
+router.post('/change-password', authenticateForPasswordChange, authController.changePassword);
+
 module.exports = router;
\ No newline at end of file
@@ -12,24 +12,158 @@ const {
     getCompanyById,
     downloadAllResumesZip,
     downloadCompanyResumesZip,
-    makeStudentCoordinator
+    downloadCompanyResumeBook,
+    makeStudentCoordinator,
+    assignRole
 } = require('../controller/coordinators');
+const {
+    createPosting,
+    getCompanyPostings,
+    getPostingById,
+    updatePosting,
+    deletePosting
+} = require('../controller/postings');
+const {
+    createRound,
+    getCompanyRounds,
+    updateRound,
+    deleteRound,
+    assignRoundCandidates,
+    recordRoundResult
+} = require('../controller/rounds');
+const {
+    createOffer,
+    getCompanyOffers,
+    revokeOffer
+} = require('../controller/offers');
+const {
+    createRecruiter,
+    getCompanyRecruiters,
+    deleteRecruiter
+} = require('../controller/recruiters');
+const { getPlacementStats } = require('../controller/analytics');
+const { searchResumes } = require('../controller/resumeSearch');
+const { unlockAccount, getLoginEvents, getAuditLogs } = require('../controller/security');
+const {
+    updateApplicationStatus,
+    getApplicationHistory,
+    getCompanyApplications,
+    exportCompanyApplications,
+    bulkUpdateApplicationStatus
+} = require('../controller/applications');
 
 // combine middleware imports and remove unused ones
-const { authenticate, requireCoordinator } = require("../middleware/auth");
+const { authenticate, requireCoordinator, requirePermission } = require("../middleware/auth");
+const { audit, byEmail } = require('../middleware/audit');
+const { CAPABILITIES } = require('../config/permissions');
+const Company = require('../models/companies');
+const JobPosting = require('../models/jobPosting');
+const Round = require('../models/round');
+const Application = require('../models/application');
+const Offer = require('../models/offer');
+const Student = require('../models/students');
+
+const {
+    MANAGE_COMPANIES,
+    MANAGE_USERS,
+    VIEW_APPLICATIONS,
+    VIEW_RESUMES,
+    CHANGE_STATUS,
+    ASSIGN_ROLES,
+    VIEW_AUDIT_LOG
+} = CAPABILITIES;
 
-// Apply authentication and coordinator check to all coordinator routes
+// Apply authentication and coordinator check to all coordinator routes;
+// each route then requires the capability it needs (reads of drives are open to all staff).
+// Every mutating route is recorded in the audit log.
 router.use(authenticate, requireCoordinator);
 
 // Coordinator endpoints (now protected)    
 // add upload middleware for file upload route
-router.post('/register-students-file', upload.single('file'), registerStudentsFromFile);
-router.post('/company', createCompany);
+router.post('/register-students-file', requirePermission(MANAGE_USERS), upload.single('file'),
+    audit('students.register', {
+        targetType: 'Student',
+        metadata: (req, body) => ({
+            file: req.file?.originalname,
+            mode: body.mode,
+            passwordMode: req.body.passwordMode,
+            summary: body.summary,
+            created: (body.rows || []).filter(r => r.result === 'create').map(r => r.email),
+            updated: (body.rows || []).filter(r => r.result === 'update').map(r => r.email)
+        }),
+        skip: (req, body) => body.dryRun
+    }),
+    registerStudentsFromFile);
+router.post('/company', requirePermission(MANAGE_COMPANIES),
+    audit('company.create', { model: Company, targetFromResponse: (req, body) => body.company?.id }),
+    createCompany);
 router.get('/companies', getAllCompanies);
 router.get('/company/:id', getCompanyById);
-router.put('/company/:id', updateCompany);
-router.delete('/company/:id', deleteCompany);
-router.get('/resumes/download-all', downloadAllResumesZip);
-router.get('/resumes/download/:id', downloadCompanyResumesZip);
-router.put('/promote', makeStudentCoordinator);
-module.exports = router;
\ No newline at end of file
+router.put('/company/:id', requirePermission(MANAGE_COMPANIES), audit('company.update', { model: Company }), updateCompany);
+router.delete('/company/:id', requirePermission(MANAGE_COMPANIES),
+    audit('company.delete', { model: Company, metadata: (req, body) => body.cleanup }),
+    deleteCompany);
+router.get('/company/:id/applications', requirePermission(VIEW_APPLICATIONS), getCompanyApplications);
+router.get('/company/:id/applications/export', requirePermission(VIEW_APPLICATIONS), exportCompanyApplications);
+router.post('/company/:id/applications/bulk-status', requirePermission(CHANGE_STATUS), upload.single('file'),
+    audit('application.bulk_status', {
+        targetType: 'Company',
+        targetFromResponse: (req) => req.params.id,
+        metadata: (req, body) => ({ status: req.body.status, file: req.file?.originalname, summary: body.summary }),
+        skip: (req, body) => body.dryRun
+    }),
+    bulkUpdateApplicationStatus);
+router.post('/company/:id/postings', requirePermission(MANAGE_COMPANIES),
+    audit('posting.create', { model: JobPosting, targetFromResponse: (req, body) => body.posting?._id }),
+    createPosting);
+router.get('/company/:id/postings', getCompanyPostings);
+router.get('/posting/:id', getPostingById);
+router.put('/posting/:id', requirePermission(MANAGE_COMPANIES), audit('posting.update', { model: JobPosting }), updatePosting);
+router.delete('/posting/:id', requirePermission(MANAGE_COMPANIES), audit('posting.delete', { model: JobPosting }), deletePosting);
+router.post('/company/:id/rounds', requirePermission(MANAGE_COMPANIES),
+    audit('round.create', { model: Round, targetFromResponse: (req, body) => body.round?._id }),
+    createRound);
+router.get('/company/:id/rounds', getCompanyRounds);
+router.put('/round/:id', requirePermission(MANAGE_COMPANIES), audit('round.update', { model: Round }), updateRound);
+router.delete('/round/:id', requirePermission(MANAGE_COMPANIES), audit('round.delete', { model: Round }), deleteRound);
+router.post('/round/:id/candidates', requirePermission(MANAGE_COMPANIES),
+    audit('round.assign_candidates', { model: Round }),
+    assignRoundCandidates);
+router.put('/round/:id/candidates/:applicationId/result', requirePermission(CHANGE_STATUS),
+    audit('round.record_result', { model: Round }),
+    recordRoundResult);
+router.get('/resumes/search', requirePermission(VIEW_RESUMES), searchResumes);
+router.get('/resumes/download-all', requirePermission(VIEW_RESUMES), downloadAllResumesZip);
+router.get('/resumes/download/:id', requirePermission(VIEW_RESUMES), downloadCompanyResumesZip);
+router.get('/resumes/book/:id', requirePermission(VIEW_RESUMES), downloadCompanyResumeBook);
+router.put('/promote', requirePermission(MANAGE_USERS),
+    audit('user.promote', { model: Student, findTarget: byEmail }),
+    makeStudentCoordinator);
+router.put('/users/role', requirePermission(ASSIGN_ROLES),
+    audit('user.assign_role', { model: Student, findTarget: byEmail }),
+    assignRole);
+router.post('/company/:id/recruiters', requirePermission(MANAGE_USERS),
+    audit('recruiter.create', { model: Student, targetFromResponse: (req, body) => body.recruiter?.id }),
+    createRecruiter);
+router.get('/company/:id/recruiters', requirePermission(MANAGE_USERS), getCompanyRecruiters);
+router.delete('/recruiter/:id', requirePermission(MANAGE_USERS), audit('recruiter.delete', { model: Student }), deleteRecruiter);
+router.get('/analytics', requirePermission(VIEW_APPLICATIONS), getPlacementStats);
+router.post('/users/unlock', requirePermission(MANAGE_USERS),
+    audit('user.unlock', { model: Student, findTarget: byEmail }),
+    unlockAccount);
+router.get('/login-events', requirePermission(MANAGE_USERS), getLoginEvents);
+router.get('/audit-logs', requirePermission(VIEW_AUDIT_LOG), getAuditLogs);
+router.get('/applications/:id/history', requirePermission(VIEW_APPLICATIONS), getApplicationHistory);
+router.put('/applications/:id/status', requirePermission(CHANGE_STATUS),
+    audit('application.status', { model: Application }),
+    updateApplicationStatus);
+router.post('/applications/:id/offer', requirePermission(CHANGE_STATUS),
+    audit('offer.create', {
+        model: Offer,
+        targetFromResponse: (req, body) => body.offer?._id,
+        metadata: (req) => ({ applicationId: req.params.id })
+    }),
+    createOffer);
+router.get('/company/:id/offers', requirePermission(VIEW_APPLICATIONS), getCompanyOffers);
+router.put('/offer/:id/revoke', requirePermission(CHANGE_STATUS), audit('offer.revoke', { model: Offer }), revokeOffer);
+module.exports = router;
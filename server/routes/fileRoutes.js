@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+
+const { serveSignedFile } = require('../controller/files');
+
+// GET /api/files/<storage key>?expires=&signature= (local storage driver only)
+router.get('/*key', serveSignedFile);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const upload = multer({ dest: 'uploads/' }); // store temp uploads in server/uploads
+
+const { getRecruiterCompany } = require('../controller/recruiters');
+const { downloadCompanyResumesZip } = require('../controller/coordinators');
+const {
+    updateApplicationStatus,
+    getApplicationHistory,
+    getCompanyApplications,
+    exportCompanyApplications,
+    bulkUpdateApplicationStatus
+} = require('../controller/applications');
+const { createOffer, revokeOffer } = require('../controller/offers');
+
+const Application = require('../models/application');
+const Offer = require('../models/offer');
+const { authenticate, requireRecruiter } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// Recruiters only ever see their own company: requireRecruiter pins req.companyScope,
+// which the shared handlers use in place of a company ID
+router.use(authenticate, requireRecruiter);
+
+router.get('/company', getRecruiterCompany);
+router.get('/applications', getCompanyApplications);
+router.get('/applications/export', exportCompanyApplications);
+// Shortlist or reject: status is one of interviewing, rejected; offers have their own routes.
+// Status changes and offers are audited like the coordinator routes.
+router.post('/applications/bulk-status', upload.single('file'),
+    audit('application.bulk_status', {
+        targetType: 'Company',
+        targetFromResponse: (req) => req.companyScope,
+        metadata: (req, body) => ({ status: req.body.status, file: req.file?.originalname, summary: body.summary }),
+        skip: (req, body) => body.dryRun
+    }),
+    bulkUpdateApplicationStatus);
+router.get('/applications/:id/history', getApplicationHistory);
+router.put('/applications/:id/status', audit('application.status', { model: Application }), updateApplicationStatus);
+router.post('/applications/:id/offer',
+    audit('offer.create', {
+        model: Offer,
+        targetFromResponse: (req, body) => body.offer?._id,
+        metadata: (req) => ({ applicationId: req.params.id })
+    }),
+    createOffer);
+router.put('/offer/:id/revoke', audit('offer.revoke', { model: Offer }), revokeOffer);
+router.get('/resumes/download', downloadCompanyResumesZip);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { getResumeLink } = require('../controller/resumes');
+const { authenticate } = require('../middleware/auth');
+
+// GET /api/resumes/link/<storage key> -> { url, expiresAt } (owner, resume viewers, or the
+// recruiters of a company the resume was submitted to). Also serves profile photo keys.
+router.get('/link/*key', authenticate, getResumeLink);
+
+module.exports = router;
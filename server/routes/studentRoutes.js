@@ -6,10 +6,18 @@ const {
     getAllCompanies,
     applyToCompany,
     getMyApplications,
+    getMyRounds,
+    getMyOffers,
+    acceptOffer,
+    declineOffer,
     updateDefaultResume,
+    getMyResumes,
+    uploadResume,
+    setDefaultResume,
+    deleteResume,
+    withdrawApplication,
     upload
 } = require("../controller/students");
-const { deleteApplicationById } = require('../controller/students'); // or correct controller path
 
 
 // Middleware for authentication
@@ -19,15 +27,24 @@ const { authenticateStudent, requireCompleteProfile } = require("../middleware/a
 // Protected routes (require authentication)
 router.get("/companies", authenticateStudent, getAllCompanies);
 router.get("/profile", authenticateStudent, getUserProfile);
-router.put("/profile", authenticateStudent, upload.single('resume'), updateProfile);
+router.put("/profile", authenticateStudent, upload.fields([{ name: 'resume', maxCount: 1 }, { name: 'photo', maxCount: 1 }]), updateProfile);
 router.get("/applications", authenticateStudent, getMyApplications);
+router.get("/rounds", authenticateStudent, getMyRounds);
+router.get("/offers", authenticateStudent, getMyOffers);
+router.post("/offers/:id/accept", authenticateStudent, acceptOffer);
+router.post("/offers/:id/decline", authenticateStudent, declineOffer);
 
 // Routes that require complete profile
-router.post("/apply/:companyId", authenticateStudent, requireCompleteProfile, upload.single('resume'), applyToCompany);
+router.post("/apply/:postingId", authenticateStudent, requireCompleteProfile, upload.single('resume'), applyToCompany);
 
 // Resume management routes
 router.post("/resume/default", authenticateStudent, upload.single('resume'), updateDefaultResume);
+router.get("/resumes", authenticateStudent, getMyResumes);
+router.post("/resumes", authenticateStudent, upload.single('resume'), uploadResume);
+router.put("/resumes/:resumeId/default", authenticateStudent, setDefaultResume);
+router.delete("/resumes/:resumeId", authenticateStudent, deleteResume);
 
-// Example for coordinatorRoutes.js or applicationRoutes.js
-router.delete('/applications/:id', deleteApplicationById);
+// Withdraw own application (kept on record with status "withdrawn")
+router.delete('/applications/:id', authenticateStudent, withdrawApplication);
+router.post('/applications/:id/withdraw', authenticateStudent, withdrawApplication);
 module.exports = router;
@@ -0,0 +1,68 @@
+// Extract text from stored resumes for coordinator search (GET /api/coordinators/resumes/search).
+// New uploads are indexed automatically; run this once for resumes uploaded before search existed
+// (and again to retry failed ones), or with --force to re-extract everything (e.g. after a pdf-parse upgrade).
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Student = require('../models/students');
+const Application = require('../models/application');
+const ResumeText = require('../models/resumeText');
+const { FINAL_STATUSES, indexResume } = require('../utils/resumeText');
+
+// Accept multiple common env names for MongoDB
+const MONGODB_URI = process.env.MONGODB_URI
+    || process.env.MONGODB_URL
+    || process.env.MONGO_URI
+    || process.env.MONGO_URL
+    || process.env.DATABASE_URL;
+
+if (!MONGODB_URI) {
+    console.error('Set MONGODB_URI (or MONGODB_URL / MONGO_URI / DATABASE_URL) in server/.env before running.');
+    process.exit(1);
+}
+
+const force = process.argv.includes('--force');
+
+async function run() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+
+        // key -> owning student
+        const owners = new Map();
+        const students = await Student.find({
+            $or: [{ defaultResume: { $nin: [null, ''] } }, { 'resumes.0': { $exists: true } }]
+        }).select('defaultResume resumes.key');
+        for (const student of students) {
+            for (const key of [student.defaultResume, ...student.resumes.map(r => r.key)]) {
+                if (key) owners.set(key, student._id);
+            }
+        }
+        const applications = await Application.find({ resume: { $nin: [null, ''] } }).select('userId resume');
+        for (const application of applications) {
+            if (!owners.has(application.resume)) owners.set(application.resume, application.userId);
+        }
+
+        const indexed = new Set(force ? [] : await ResumeText.distinct('key', { status: { $in: FINAL_STATUSES } }));
+        const pending = [...owners.keys()].filter(key => !indexed.has(key));
+        console.log(`Indexing ${pending.length} of ${owners.size} resumes${force ? ' (forced)' : ''}`);
+
+        const counts = {};
+        for (const key of pending) {
+            const result = await indexResume(key, owners.get(key), { force });
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            if (result.status === 'failed') {
+                console.log(`  ${key}: ${result.error}`);
+            }
+        }
+
+        console.log('Indexing complete:', counts);
+
+        await mongoose.disconnect();
+    } catch (err) {
+        console.error('Error indexing resumes:', err);
+        process.exitCode = 1;
+    }
+}
+
+run();
@@ -35,7 +35,7 @@ async function run() {
             name: 'Rudra Pratap',
             email,
             password: hashed,
-            role: 'coordinator'
+            role: 'admin'
             // details/defaultResume omitted for coordinator
         });
 
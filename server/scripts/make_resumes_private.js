@@ -0,0 +1,67 @@
+// One-off migration for the cloudinary storage driver: resumes used to be public raw uploads
+// (type 'upload'), so anyone with the URL could open them. Move every file under the resume
+// folder to the private delivery type; afterwards they are only reachable through signed links.
+// Keys do not change, so no database update is needed. Pass --dry-run to only list the files.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { getDriverName, CLOUDINARY_TYPE } = require('../utils/storage');
+const { RESUME_FOLDER } = require('../utils/resumes');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+    try {
+        if (getDriverName() !== 'cloudinary') {
+            console.log(`Storage driver is "${getDriverName()}"; nothing to do.`);
+            return;
+        }
+        const cloudinary = require('../utils/cloudinary');
+
+        const publicIds = [];
+        let nextCursor;
+        do {
+            const page = await cloudinary.api.resources({
+                type: 'upload',
+                resource_type: 'raw',
+                prefix: `${RESUME_FOLDER}/`,
+                max_results: 500,
+                next_cursor: nextCursor
+            });
+            publicIds.push(...page.resources.map(r => r.public_id));
+            nextCursor = page.next_cursor;
+        } while (nextCursor);
+        console.log(`Found ${publicIds.length} public resumes${dryRun ? ' [dry run]' : ''}`);
+
+        let moved = 0;
+        const failed = [];
+        for (const publicId of publicIds) {
+            if (dryRun) {
+                console.log(publicId);
+                continue;
+            }
+            try {
+                await cloudinary.uploader.rename(publicId, publicId, {
+                    resource_type: 'raw',
+                    type: 'upload',
+                    to_type: CLOUDINARY_TYPE,
+                    invalidate: true
+                });
+                moved++;
+            } catch (err) {
+                failed.push({ publicId, reason: err.message || err.error?.message });
+            }
+        }
+
+        if (failed.length) {
+            console.log('Could not move:');
+            failed.forEach(f => console.log(`  ${f.publicId}: ${f.reason}`));
+        }
+        console.log('Migration complete:', { found: publicIds.length, moved, failed: failed.length });
+    } catch (err) {
+        console.error('Error making resumes private:', err);
+        process.exitCode = 1;
+    }
+}
+
+run();
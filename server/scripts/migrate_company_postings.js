@@ -0,0 +1,83 @@
+// One-off migration: companies used to be a single opening each. For every company that
+// has no job postings yet, create one posting from its legacy fields (type, stipend,
+// eligibility, application window), point its applications at that posting, and drop the
+// legacy fields from the company document. Safe to run more than once.
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Company = require('../models/companies');
+const JobPosting = require('../models/jobPosting');
+const Application = require('../models/application');
+
+// Accept multiple common env names for MongoDB
+const MONGODB_URI = process.env.MONGODB_URI
+    || process.env.MONGODB_URL
+    || process.env.MONGO_URI
+    || process.env.MONGO_URL
+    || process.env.DATABASE_URL;
+
+if (!MONGODB_URI) {
+    console.error('Set MONGODB_URI (or MONGODB_URL / MONGO_URI / DATABASE_URL) in server/.env before running.');
+    process.exit(1);
+}
+
+const LEGACY_FIELDS = ['type', 'stipend', 'eligibility', 'applicationOpensAt', 'applicationClosesAt'];
+
+async function run() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+
+        // Read raw documents: the legacy fields are no longer part of the Company schema
+        const companies = await Company.collection.find({}).toArray();
+        let postingsCreated = 0;
+        let applicationsLinked = 0;
+
+        for (const company of companies) {
+            let posting = await JobPosting.findOne({ companyId: company._id }).sort({ createdAt: 1 });
+
+            if (!posting) {
+                posting = await new JobPosting({
+                    companyId: company._id,
+                    title: company.name,
+                    description: company.description,
+                    locationType: company.type,
+                    stipend: company.stipend,
+                    eligibility: company.eligibility,
+                    applicationOpensAt: company.applicationOpensAt,
+                    applicationClosesAt: company.applicationClosesAt
+                }).save();
+                postingsCreated++;
+                console.log(`Created posting "${posting.title}" for company ${company.name}`);
+            }
+
+            // Applications made before postings existed belong to the company's first posting
+            const { modifiedCount } = await Application.updateMany(
+                { companyId: company._id, postingId: { $exists: false } },
+                { $set: { postingId: posting._id } }
+            );
+            applicationsLinked += modifiedCount;
+
+            const unset = LEGACY_FIELDS.filter(f => company[f] !== undefined);
+            if (unset.length) {
+                await Company.collection.updateOne(
+                    { _id: company._id },
+                    { $unset: Object.fromEntries(unset.map(f => [f, ''])) }
+                );
+            }
+        }
+
+        console.log('Migration complete:', {
+            companies: companies.length,
+            postingsCreated,
+            applicationsLinked
+        });
+
+        await mongoose.disconnect();
+    } catch (err) {
+        console.error('Error migrating companies to job postings:', err);
+        process.exitCode = 1;
+    }
+}
+
+run();
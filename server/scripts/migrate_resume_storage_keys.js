@@ -0,0 +1,116 @@
+// One-off migration: resumes used to be stored as Cloudinary secure_urls on Student.defaultResume
+// and Application.resume. Replace each URL with a storage key (see utils/storage.js):
+// - cloudinary driver: raw uploads already live at their key (run make_resumes_private.js
+//   afterwards); files that were uploaded as 'image' (resource_type auto) are copied to a
+//   private raw upload at the key and the old one removed
+// - any other driver (e.g. local): the file is downloaded and stored at the key
+// Values that are already keys are left alone, so the script is safe to run more than once.
+// Pass --dry-run to only print what would change.
+const os = require('os');
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Student = require('../models/students');
+const Application = require('../models/application');
+const { getCloudinaryId } = require('../utils/helperPublicId');
+const { storage, getDriverName, CLOUDINARY_TYPE } = require('../utils/storage');
+
+// Accept multiple common env names for MongoDB
+const MONGODB_URI = process.env.MONGODB_URI
+    || process.env.MONGODB_URL
+    || process.env.MONGO_URI
+    || process.env.MONGO_URL
+    || process.env.DATABASE_URL;
+
+if (!MONGODB_URI) {
+    console.error('Set MONGODB_URI (or MONGODB_URL / MONGO_URI / DATABASE_URL) in server/.env before running.');
+    process.exit(1);
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Storage key for a Cloudinary URL: the public ID with the file extension
+const keyForUrl = (url) => {
+    const { publicId, resourceType } = getCloudinaryId(url);
+    if (!publicId) return {};
+    const ext = path.extname(new URL(url).pathname);
+    // Raw public IDs already end with the extension
+    const key = resourceType === 'raw' || !ext || publicId.endsWith(ext) ? publicId : `${publicId}${ext}`;
+    return { key, publicId, resourceType };
+};
+
+const downloadTo = async (url, file) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Download failed with ${response.status}`);
+    await fs.writeFile(file, Buffer.from(await response.arrayBuffer()));
+};
+
+// Make sure the file behind `url` exists at `key` in the configured storage
+const copyToStorage = async (url, { key, publicId, resourceType }) => {
+    const driver = getDriverName();
+    if (driver === 'cloudinary') {
+        if (resourceType === 'raw') return;
+        const cloudinary = require('../utils/cloudinary');
+        await cloudinary.uploader.upload(url, { public_id: key, resource_type: 'raw', type: CLOUDINARY_TYPE, overwrite: false });
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'image' });
+        return;
+    }
+
+    const tempFile = path.join(os.tmpdir(), `resume-migrate-${Date.now()}-${Math.round(Math.random() * 1E9)}`);
+    try {
+        await downloadTo(url, tempFile);
+        await storage.put(key, tempFile);
+    } finally {
+        await fs.unlink(tempFile).catch(() => {});
+    }
+};
+
+async function run() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+
+        const isUrl = { $regex: /^https?:\/\//i };
+        const urls = new Set([
+            ...await Student.distinct('defaultResume', { defaultResume: isUrl }),
+            ...await Application.distinct('resume', { resume: isUrl })
+        ]);
+        console.log(`Found ${urls.size} resume URLs (storage driver: ${getDriverName()})${dryRun ? ' [dry run]' : ''}`);
+
+        let migrated = 0;
+        const failed = [];
+        for (const url of urls) {
+            const target = keyForUrl(url);
+            if (!target.key) {
+                failed.push({ url, reason: 'Not a Cloudinary URL' });
+                continue;
+            }
+            if (dryRun) {
+                console.log(`${url} -> ${target.key}`);
+                continue;
+            }
+            try {
+                await copyToStorage(url, target);
+                await Student.updateMany({ defaultResume: url }, { $set: { defaultResume: target.key } });
+                await Application.updateMany({ resume: url }, { $set: { resume: target.key } });
+                migrated++;
+            } catch (err) {
+                failed.push({ url, reason: err.message });
+            }
+        }
+
+        if (failed.length) {
+            console.log('Could not migrate:');
+            failed.forEach(f => console.log(`  ${f.url}: ${f.reason}`));
+        }
+        console.log('Migration complete:', { urls: urls.size, migrated, failed: failed.length });
+
+        await mongoose.disconnect();
+    } catch (err) {
+        console.error('Error migrating resume storage keys:', err);
+        process.exitCode = 1;
+    }
+}
+
+run();
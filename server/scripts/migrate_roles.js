@@ -0,0 +1,57 @@
+// One-off migration: the old 'coordinator' role could do everything. Existing coordinators
+// become placement officers (same access as before); pass --admin=<email> to also make one
+// account an admin so roles can be assigned. Safe to run more than once.
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Student = require('../models/students');
+
+// Accept multiple common env names for MongoDB
+const MONGODB_URI = process.env.MONGODB_URI
+    || process.env.MONGODB_URL
+    || process.env.MONGO_URI
+    || process.env.MONGO_URL
+    || process.env.DATABASE_URL;
+
+if (!MONGODB_URI) {
+    console.error('Set MONGODB_URI (or MONGODB_URL / MONGO_URI / DATABASE_URL) in server/.env before running.');
+    process.exit(1);
+}
+
+const adminArg = process.argv.find(a => a.startsWith('--admin='));
+const adminEmail = adminArg ? adminArg.slice('--admin='.length).trim() : null;
+
+async function run() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+
+        // Bump tokenVersion so tokens carrying the old role stop working
+        const { modifiedCount: officers } = await Student.updateMany(
+            { role: 'coordinator' },
+            { $set: { role: 'placement_officer' }, $inc: { tokenVersion: 1 } }
+        );
+
+        let adminPromoted = false;
+        if (adminEmail) {
+            const emailRegex = new RegExp(`^${adminEmail.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+            const result = await Student.updateOne(
+                { email: emailRegex, role: { $ne: 'admin' } },
+                { $set: { role: 'admin' }, $inc: { tokenVersion: 1 } }
+            );
+            adminPromoted = result.modifiedCount > 0;
+            if (!adminPromoted && !(await Student.exists({ email: emailRegex }))) {
+                console.log(`No user with email ${adminEmail}; no admin assigned.`);
+            }
+        }
+
+        console.log('Migration complete:', { placementOfficers: officers, adminPromoted });
+
+        await mongoose.disconnect();
+    } catch (err) {
+        console.error('Error migrating roles:', err);
+        process.exitCode = 1;
+    }
+}
+
+run();
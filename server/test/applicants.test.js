@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { buildApplicantPipeline } = require('../utils/applicants');
+const { buildSheetBuffer, sendSheet } = require('../utils/spreadsheet');
+
+const companyId = new mongoose.Types.ObjectId().toString();
+const postingId = new mongoose.Types.ObjectId().toString();
+
+test('buildApplicantPipeline filters by company, status, posting, course and year', () => {
+    const { pipeline, error } = buildApplicantPipeline(companyId, {
+        status: 'applied, interviewing',
+        postingId,
+        course: 'B.Tech (CSE)',
+        year: '2026'
+    });
+    assert.strictEqual(error, undefined);
+
+    const [match, , , studentMatch] = pipeline;
+    assert.strictEqual(match.$match.companyId.toString(), companyId);
+    assert.deepStrictEqual(match.$match.status, { $in: ['applied', 'interviewing'] });
+    assert.strictEqual(match.$match.postingId.toString(), postingId);
+    assert.ok(studentMatch.$match['student.details.course'].test('b.tech (cse)'));
+    assert.ok(!studentMatch.$match['student.details.course'].test('B.Tech (CSE) Hons'));
+    assert.strictEqual(studentMatch.$match['student.details.graduationYear'], 2026);
+});
+
+test('buildApplicantPipeline sorts newest first with a stable tiebreaker', () => {
+    const sort = (query) => buildApplicantPipeline(companyId, query).pipeline.at(-1).$sort;
+    assert.deepStrictEqual(sort({}), { appliedAt: -1, applicationId: 1 });
+    assert.deepStrictEqual(sort({ sortBy: 'name', order: 'asc' }), { name: 1, applicationId: 1 });
+});
+
+test('buildApplicantPipeline lists every company when none is given', () => {
+    assert.deepStrictEqual(buildApplicantPipeline(null).pipeline[0], { $match: {} });
+});
+
+test('buildApplicantPipeline rejects unknown filters', () => {
+    assert.match(buildApplicantPipeline(companyId, { status: 'hired' }).error, /Invalid status/);
+    assert.match(buildApplicantPipeline(companyId, { postingId: 'abc' }).error, /Invalid job posting ID/);
+    assert.match(buildApplicantPipeline(companyId, { year: 'soon' }).error, /valid graduation year/);
+    assert.match(buildApplicantPipeline(companyId, { sortBy: 'cgpa' }).error, /Invalid sortBy/);
+});
+
+test('sendSheet sends the rows as a CSV attachment', () => {
+    const headers = {};
+    const res = {
+        setHeader: (name, value) => { headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        send(body) { this.body = body; return this; }
+    };
+    sendSheet(res, [{ 'Name': 'Asha', 'Status': 'applied' }], { filename: 'Acme_applicants' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(headers['Content-Type'], 'text/csv');
+    assert.strictEqual(headers['Content-Disposition'], 'attachment; filename="Acme_applicants.csv"');
+    assert.strictEqual(res.body.toString().trim(), 'Name,Status\nAsha,applied');
+});
+
+test('buildSheetBuffer writes XLSX workbooks', () => {
+    const buffer = buildSheetBuffer([{ 'Name': 'Asha' }], 'xlsx');
+    assert.strictEqual(buffer.subarray(0, 2).toString(), 'PK');
+});
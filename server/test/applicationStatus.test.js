@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    APPLICATION_STATUSES,
+    canTransition,
+    applyStatusChange,
+    isOwnApplication
+} = require('../utils/applicationStatus');
+
+const application = (status) => ({ status, statusHistory: [] });
+
+test('canTransition follows the status pipeline', () => {
+    assert.ok(canTransition('applied', 'interviewing'));
+    assert.ok(canTransition('interviewing', 'offered'));
+    assert.ok(canTransition('offered', 'rejected'));
+    assert.ok(canTransition('offered', 'withdrawn'));
+    assert.ok(!canTransition('interviewing', 'applied'));
+    assert.ok(!canTransition('rejected', 'offered'));
+    assert.ok(!canTransition('unknown', 'applied'));
+});
+
+test('applyStatusChange moves the application and records the change', () => {
+    const app = application('applied');
+    assert.strictEqual(applyStatusChange(app, 'interviewing', { changedBy: 'u1', remark: '  shortlisted ' }), null);
+    assert.strictEqual(app.status, 'interviewing');
+    assert.strictEqual(app.statusHistory.length, 1);
+    assert.deepStrictEqual(
+        { ...app.statusHistory[0], changedAt: undefined },
+        { from: 'applied', to: 'interviewing', changedBy: 'u1', remark: 'shortlisted', changedAt: undefined }
+    );
+});
+
+test('applyStatusChange refuses invalid, repeated and disallowed changes', () => {
+    const app = application('rejected');
+    assert.match(applyStatusChange(app, 'hired'), new RegExp(APPLICATION_STATUSES.join(', ')));
+    assert.match(applyStatusChange(app, 'rejected'), /already 'rejected'/);
+    assert.match(applyStatusChange(app, 'offered'), /'rejected' is a final status/);
+    assert.match(applyStatusChange(application('interviewing'), 'withdrawn'), /Allowed: offered, rejected/);
+    assert.strictEqual(app.status, 'rejected');
+    assert.strictEqual(app.statusHistory.length, 0);
+});
+
+test('isOwnApplication compares the applicant with the caller', () => {
+    assert.ok(isOwnApplication({ userId: 'abc' }, 'abc'));
+    assert.ok(isOwnApplication({ userId: { _id: 'abc', name: 'A' } }, 'abc'));
+    assert.ok(!isOwnApplication({ userId: 'abc' }, 'def'));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWindowDate, getWindowState, openWindowFilter } = require('../utils/applicationWindow');
+
+const now = new Date('2026-03-01T10:00:00Z');
+const at = (iso) => new Date(iso);
+
+test('parseWindowDate tells "not sent", "clear" and dates apart', () => {
+    assert.deepStrictEqual(parseWindowDate(undefined, 'applicationClosesAt'), { value: undefined });
+    assert.deepStrictEqual(parseWindowDate(null, 'applicationClosesAt'), { value: null });
+    assert.deepStrictEqual(parseWindowDate('', 'applicationClosesAt'), { value: null });
+    assert.deepStrictEqual(parseWindowDate('2026-03-10T00:00:00Z', 'applicationClosesAt'), { value: at('2026-03-10T00:00:00Z') });
+    assert.deepStrictEqual(parseWindowDate('next week', 'applicationClosesAt'), { error: 'applicationClosesAt must be a valid date' });
+});
+
+test('getWindowState reports upcoming, open and closed drives', () => {
+    const upcoming = getWindowState({ applicationOpensAt: at('2026-03-01T12:00:00Z') }, now);
+    assert.strictEqual(upcoming.status, 'upcoming');
+    assert.strictEqual(upcoming.isOpen, false);
+    assert.strictEqual(upcoming.timeUntilOpenMs, 2 * 60 * 60 * 1000);
+
+    const open = getWindowState({ applicationOpensAt: at('2026-02-01T00:00:00Z'), applicationClosesAt: at('2026-03-02T10:00:00Z') }, now);
+    assert.strictEqual(open.status, 'open');
+    assert.strictEqual(open.timeRemainingMs, 24 * 60 * 60 * 1000);
+
+    assert.strictEqual(getWindowState({ applicationClosesAt: now }, now).status, 'closed');
+});
+
+test('a drive without a window is always open and has no deadline', () => {
+    const state = getWindowState({}, now);
+    assert.strictEqual(state.isOpen, true);
+    assert.strictEqual(state.timeRemainingMs, null);
+    assert.strictEqual(state.timeUntilOpenMs, null);
+});
+
+test('openWindowFilter matches missing bounds and the current window', () => {
+    assert.deepStrictEqual(openWindowFilter(now), {
+        $and: [
+            { $or: [{ applicationOpensAt: null }, { applicationOpensAt: { $lte: now } }] },
+            { $or: [{ applicationClosesAt: null }, { applicationClosesAt: { $gt: now } }] }
+        ]
+    });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEligibility, checkEligibility } = require('../utils/eligibility');
+
+test('parseEligibility leaves missing input alone and clears on an empty value', () => {
+    assert.deepStrictEqual(parseEligibility(undefined), { value: undefined });
+    assert.deepStrictEqual(parseEligibility(null), { value: null });
+    assert.deepStrictEqual(parseEligibility(''), { value: null });
+});
+
+test('parseEligibility normalises lists and numbers, from objects or JSON', () => {
+    assert.deepStrictEqual(parseEligibility({ courses: 'B.Tech, M.Tech', graduationYears: ['2026', 2027], minCgpa: '7.5', maxBacklogs: '0' }), {
+        value: { courses: ['B.Tech', 'M.Tech'], graduationYears: [2026, 2027], minCgpa: 7.5, maxBacklogs: 0 }
+    });
+    assert.deepStrictEqual(parseEligibility('{"minCgpa": 6}'), { value: { minCgpa: 6 } });
+});
+
+test('parseEligibility rejects malformed rules', () => {
+    assert.ok(parseEligibility('not json').error);
+    assert.ok(parseEligibility([1, 2]).error);
+    assert.ok(parseEligibility({ graduationYears: 'soon' }).error);
+    assert.ok(parseEligibility({ minCgpa: 11 }).error);
+    assert.ok(parseEligibility({ maxBacklogs: -1 }).error);
+});
+
+test('checkEligibility lists every rule a student fails', () => {
+    const rules = { courses: ['B.Tech'], graduationYears: [2026], minCgpa: 7, maxBacklogs: 0 };
+    assert.deepStrictEqual(checkEligibility({ details: { course: 'b.tech', graduationYear: 2026, cgpa: 8 } }, rules), { eligible: true, reasons: [] });
+
+    const { eligible, reasons } = checkEligibility({ details: { course: 'MBA', graduationYear: 2025, activeBacklogs: 2 } }, rules);
+    assert.strictEqual(eligible, false);
+    assert.strictEqual(reasons.length, 4);
+    assert.match(reasons[2], /no CGPA is on your profile/);
+});
+
+test('checkEligibility passes everyone when there are no rules', () => {
+    assert.deepStrictEqual(checkEligibility({ details: {} }, undefined), { eligible: true, reasons: [] });
+    assert.deepStrictEqual(checkEligibility({ details: {} }, null), { eligible: true, reasons: [] });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../utils/loginAttemptStore');
+const {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockLogin,
+    setLoginAttemptStore
+} = require('../utils/loginThrottle');
+
+let store;
+test.beforeEach(() => {
+    store = createMemoryStore();
+    setLoginAttemptStore(store);
+});
+
+const fail = async (times, email = 'asha@example.com', ip) => {
+    for (let i = 0; i < times; i++) await recordLoginFailure(email, ip);
+};
+
+test('the first failures are free, then attempts are throttled', async () => {
+    await fail(3);
+    assert.strictEqual((await checkLoginAllowed('asha@example.com')).allowed, true);
+
+    await fail(1);
+    const result = await checkLoginAllowed('ASHA@example.com ');
+    assert.strictEqual(result.reason, 'throttled');
+    assert.ok(result.retryAfterMs > 0 && result.retryAfterMs <= 1000);
+});
+
+test('the account locks after too many failures', async () => {
+    await fail(10);
+    const result = await checkLoginAllowed('asha@example.com');
+    assert.strictEqual(result.reason, 'locked');
+    assert.ok(result.retryAfterMs > 60 * 1000);
+});
+
+test('an expired lock halves the counter instead of locking again on the next failure', async () => {
+    await fail(10);
+    await store.lock('account:asha@example.com', new Date(Date.now() - 1000));
+
+    assert.strictEqual((await checkLoginAllowed('asha@example.com')).reason, 'throttled');
+    assert.strictEqual((await store.get('account:asha@example.com')).failures, 5);
+
+    await fail(1);
+    const record = await store.get('account:asha@example.com');
+    assert.strictEqual(record.failures, 6);
+    assert.strictEqual(record.lockedUntil, null);
+});
+
+test('a success or an unlock clears the account but not the IP', async () => {
+    await fail(10, 'asha@example.com', '10.0.0.1');
+    await recordLoginSuccess('asha@example.com');
+    assert.strictEqual(await store.get('account:asha@example.com'), null);
+    assert.strictEqual((await store.get('ip:10.0.0.1')).failures, 10);
+
+    await fail(10, 'ravi@example.com');
+    await unlockLogin('ravi@example.com');
+    assert.strictEqual((await checkLoginAllowed('ravi@example.com')).allowed, true);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Application = require('../models/application');
+const { COORDINATOR_STATUSES, RECRUITER_STATUSES } = require('../utils/applicationStatus');
+const {
+    CLOSED_OFFER_STATUSES,
+    offerResponseError,
+    isOfferPastDeadline,
+    closeOfferedApplication,
+    saveStatusChanges
+} = require('../utils/offers');
+
+// No database here: transactions report themselves unsupported, so the helpers run their
+// writes without a session against the stubs below
+test.beforeEach((t) => {
+    t.mock.method(mongoose.connection, 'transaction', async () => {
+        throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member'), { code: 20 });
+    });
+});
+
+const fakeDocument = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    saved: 0,
+    ...fields,
+    set(values) { Object.assign(this, values); },
+    async save() { this.saved++; }
+});
+const offeredApplication = () => fakeDocument({ status: 'offered', statusHistory: [] });
+
+test('only making an offer moves an application to "offered"', () => {
+    assert.ok(!COORDINATOR_STATUSES.includes('offered'));
+    assert.ok(!RECRUITER_STATUSES.includes('offered'));
+});
+
+test('a student can answer a pending offer on an application that is still offered', () => {
+    const offer = { status: 'pending', acceptBy: new Date(Date.now() + 60000) };
+    assert.strictEqual(offerResponseError(offer, { status: 'offered' }), null);
+    assert.strictEqual(isOfferPastDeadline(offer), false);
+});
+
+test('answered, revoked and expired offers cannot be answered again', () => {
+    for (const status of ['accepted', 'declined', 'revoked', 'expired']) {
+        assert.match(offerResponseError({ status }, { status: 'offered' }), new RegExp(`it is ${status}`));
+    }
+    assert.ok(isOfferPastDeadline({ status: 'pending', acceptBy: new Date(Date.now() - 1000) }));
+});
+
+test('an offer on an application that was moved on cannot be accepted', () => {
+    assert.match(offerResponseError({ status: 'pending' }, { status: 'rejected' }), /the application is rejected/);
+    assert.match(offerResponseError({ status: 'pending' }, null), /the application is deleted/);
+});
+
+for (const [offerStatus, applicationStatus] of Object.entries(CLOSED_OFFER_STATUSES)) {
+    test(`a ${offerStatus} offer moves its application to ${applicationStatus}`, async (t) => {
+        const application = offeredApplication();
+        t.mock.method(Application, 'findById', () => ({ session: async () => application }));
+        const offer = fakeDocument({ status: offerStatus, applicationId: application._id });
+
+        await closeOfferedApplication(offer, { remark: `Offer ${offerStatus}` });
+
+        assert.strictEqual(offer.saved, 1);
+        assert.strictEqual(application.status, applicationStatus);
+        assert.strictEqual(application.statusHistory.at(-1).remark, `Offer ${offerStatus}`);
+        assert.strictEqual(application.saved, 1);
+    });
+}
+
+test('closing an offer leaves an application that already left "offered" alone', async (t) => {
+    const application = fakeDocument({ status: 'rejected', statusHistory: [] });
+    t.mock.method(Application, 'findById', () => ({ session: async () => application }));
+
+    await closeOfferedApplication(fakeDocument({ status: 'declined', applicationId: application._id }));
+    assert.strictEqual(application.status, 'rejected');
+    assert.strictEqual(application.saved, 0);
+});
+
+test('a status change out of "offered" revokes the pending offer', async () => {
+    const rejected = fakeDocument({ status: 'rejected' });
+    const stillOffered = fakeDocument({ status: 'offered' });
+    const rejectedOffer = fakeDocument({ status: 'pending' });
+    const otherOffer = fakeDocument({ status: 'pending' });
+
+    await saveStatusChanges([rejected, stillOffered], new Map([
+        [rejected._id.toString(), rejectedOffer],
+        [stillOffered._id.toString(), otherOffer]
+    ]));
+
+    assert.strictEqual(rejected.saved, 1);
+    assert.strictEqual(stillOffered.saved, 1);
+    assert.strictEqual(rejectedOffer.status, 'revoked');
+    assert.ok(rejectedOffer.respondedAt instanceof Date);
+    assert.strictEqual(otherOffer.status, 'pending');
+    assert.strictEqual(otherOffer.saved, 0);
+});
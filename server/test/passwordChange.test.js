@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const Student = require('../models/students');
+const Session = require('../models/session');
+const { checkPasswordStrength, generateRandomPassword } = require('../utils/passwordPolicy');
+const { signAccessToken, signPasswordChangeToken } = require('../utils/tokens');
+const { authenticate, authenticateForPasswordChange } = require('../middleware/auth');
+
+const user = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), role: 'student', tokenVersion: 0, ...fields });
+
+// Run a middleware with `token`; resolves with { status, body } or { next: true }
+const run = (middleware, token) => new Promise((resolve) => {
+    const req = { header: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) };
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ status: this.statusCode, body }); return this; }
+    };
+    middleware(req, res, () => resolve({ next: true, user: req.user }));
+});
+
+test('generated initial passwords satisfy the password policy', () => {
+    for (let i = 0; i < 20; i++) {
+        assert.deepStrictEqual(checkPasswordStrength(generateRandomPassword()), []);
+    }
+});
+
+test('the password policy refuses weak passwords and ones built from the account', () => {
+    assert.strictEqual(checkPasswordStrength('short').length, 4);
+    assert.deepStrictEqual(
+        checkPasswordStrength('Cs2021-001!x', { email: 'asha@example.com', details: { rollNo: 'CS2021-001' } }),
+        ['Must not contain your roll number or email']
+    );
+});
+
+test('a forced-change account only gets through to the change-password route', async (t) => {
+    const account = user({ mustChangePassword: true });
+    t.mock.method(Student, 'findById', async () => account);
+    const token = signPasswordChangeToken(account);
+
+    const blocked = await run(authenticate, token);
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.passwordChangeRequired, true);
+
+    const allowed = await run(authenticateForPasswordChange, token);
+    assert.strictEqual(allowed.next, true);
+    assert.strictEqual(allowed.user.id, account._id.toString());
+});
+
+test('the limited token stops working once the password has been changed', async (t) => {
+    const account = user({ mustChangePassword: false });
+    t.mock.method(Student, 'findById', async () => account);
+
+    const result = await run(authenticateForPasswordChange, signPasswordChangeToken(account));
+    assert.strictEqual(result.status, 401);
+});
+
+test('a full session is still held back while a password change is pending', async (t) => {
+    const account = user({ mustChangePassword: true });
+    t.mock.method(Student, 'findById', async () => account);
+    t.mock.method(Session, 'findById', () => ({ select: async () => ({ revokedAt: null, expiresAt: new Date(Date.now() + 60000) }) }));
+    const token = signAccessToken(account, new mongoose.Types.ObjectId());
+
+    assert.strictEqual((await run(authenticate, token)).status, 403);
+
+    account.mustChangePassword = false;
+    assert.strictEqual((await run(authenticate, token)).next, true);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getMissingProfileItems, isProfileComplete, parseProfileDetails } = require('../utils/profile');
+
+test('the default requirements need roll number, semester, course, graduation year and a resume', () => {
+    const student = { details: { rollNo: 'CS01', semester: '6', course: 'B.Tech' } };
+    assert.deepStrictEqual(getMissingProfileItems(student).map(i => i.field), ['graduationYear', 'resume']);
+    assert.ok(!isProfileComplete(student));
+    assert.ok(isProfileComplete({ defaultResume: 'placement/resumes/r.pdf', details: { ...student.details, graduationYear: 2026 } }));
+});
+
+test('parseProfileDetails keeps fields that were left out and clears empty ones', () => {
+    const { details, errors } = parseProfileDetails({ course: ' B.Tech ', semester: '', activeBacklogs: '', cgpa: '8.1' });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(details, { course: 'B.Tech', semester: undefined, activeBacklogs: 0, cgpa: 8.1 });
+});
+
+test('parseProfileDetails normalises skills, phone numbers and profile links', () => {
+    const { details, errors } = parseProfileDetails({
+        skills: 'React, node.js,  react ,Node.js',
+        phone: '+91 (98765) 43210',
+        linkedin: 'http://linkedin.com/in/asha-rao/?trk=1',
+        github: 'github.com/asha'
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(details.skills, ['React', 'node.js']);
+    assert.strictEqual(details.phone, '+919876543210');
+    assert.strictEqual(details.linkedin, 'https://linkedin.com/in/asha-rao');
+    assert.strictEqual(details.github, 'https://github.com/asha');
+});
+
+test('parseProfileDetails reports invalid values', () => {
+    const { errors } = parseProfileDetails({
+        graduationYear: '20x6',
+        cgpa: '11',
+        phone: '12345',
+        linkedin: 'https://example.com/asha',
+        skills: '["unterminated'
+    });
+    assert.strictEqual(errors.length, 5);
+});
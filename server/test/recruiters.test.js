@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Company = require('../models/companies');
+const Student = require('../models/students');
+const { createRecruiter } = require('../controller/recruiters');
+
+const call = async (handler, req) => {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    await handler(req, res);
+    return res;
+};
+
+test('createRecruiter stores the email in lower case, as logins look it up', async (t) => {
+    const company = { _id: new mongoose.Types.ObjectId() };
+    t.mock.method(Company, 'findById', async () => company);
+    const exists = t.mock.method(Student, 'exists', async () => null);
+    t.mock.method(Student.prototype, 'save', async function () { return this; });
+
+    const res = await call(createRecruiter, {
+        params: { id: company._id.toString() },
+        body: { name: 'Hiring Team', email: '  HR@Acme.com ' }
+    });
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.recruiter.email, 'hr@acme.com');
+    assert.ok(exists.mock.calls[0].arguments[0].email.test('HR@ACME.COM'));
+});
+
+test('createRecruiter refuses an email that is already registered in any case', async (t) => {
+    t.mock.method(Company, 'findById', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    t.mock.method(Student, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+    const res = await call(createRecruiter, { params: { id: 'x' }, body: { name: 'HR', email: 'HR@Acme.com' } });
+    assert.strictEqual(res.statusCode, 409);
+});
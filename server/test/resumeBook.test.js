@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { PDFDocument } = require('pdf-lib');
+
+process.env.RESUME_BOOK_MAX_APPLICANTS = '3';
+process.env.RESUME_BOOK_MAX_MB = '1';
+const { registerDriver } = require('../utils/storage');
+const { buildResumeBook } = require('../utils/resumeBook');
+
+// Resumes served from memory by key
+const files = new Map();
+registerDriver('resume-book-test', {
+    getStream: async (key) => {
+        if (!files.has(key)) throw Object.assign(new Error(`Stored file not found: ${key}`), { code: 'ENOENT' });
+        return Readable.from([files.get(key)]);
+    }
+});
+const previousDriver = process.env.STORAGE_DRIVER;
+test.before(() => { process.env.STORAGE_DRIVER = 'resume-book-test'; });
+test.after(() => { process.env.STORAGE_DRIVER = previousDriver; });
+
+const resumePdf = async (pageCount) => {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) doc.addPage();
+    return Buffer.from(await doc.save());
+};
+
+test('the book has a cover, contents and every readable resume', async () => {
+    files.set('resumes/a.pdf', await resumePdf(2));
+    files.set('resumes/b.pdf', Buffer.from('<html>not a pdf</html>'));
+
+    const { pdf, error } = await buildResumeBook('Acme', [
+        { rollNo: 'CS01', name: 'Asha', resume: 'resumes/a.pdf' },
+        { rollNo: 'CS02', name: 'Ravi', resume: 'resumes/b.pdf' },
+        { rollNo: 'CS03', name: 'Meera' }
+    ]);
+    assert.strictEqual(error, undefined);
+    const book = await PDFDocument.load(pdf);
+    assert.strictEqual(book.getPageCount(), 1 + 1 + 2);
+    assert.strictEqual(book.getTitle(), 'Acme - Resume Book');
+});
+
+test('books over the applicant limit are refused before reading any resume', async (t) => {
+    const applicants = Array.from({ length: 4 }, (_, i) => ({ rollNo: `CS0${i}`, name: 'Student', resume: 'resumes/a.pdf' }));
+    const read = t.mock.fn();
+    registerDriver('resume-book-count', { getStream: read });
+    process.env.STORAGE_DRIVER = 'resume-book-count';
+    try {
+        const { pdf, error } = await buildResumeBook('Acme', applicants);
+        assert.strictEqual(pdf, undefined);
+        assert.match(error, /4 applicants match; a resume book holds at most 3/);
+        assert.strictEqual(read.mock.callCount(), 0);
+    } finally {
+        process.env.STORAGE_DRIVER = 'resume-book-test';
+    }
+});
+
+test('books whose resumes add up to more than the size limit are refused', async () => {
+    files.set('resumes/large.pdf', Buffer.concat([Buffer.from('%PDF-'), Buffer.alloc(600 * 1024)]));
+
+    const { pdf, error } = await buildResumeBook('Acme', [
+        { rollNo: 'CS01', name: 'Asha', resume: 'resumes/large.pdf' },
+        { rollNo: 'CS02', name: 'Ravi', resume: 'resumes/large.pdf' }
+    ]);
+    assert.strictEqual(pdf, undefined);
+    assert.match(error, /more than 1 MB/);
+});
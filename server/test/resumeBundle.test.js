@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Application = require('../models/application');
+const { safeName, loadBundleApplicants } = require('../utils/resumeBundle');
+
+// Stub the applicant query, keeping the pipeline it was given
+const stubApplicants = (t, applicants) => {
+    const calls = [];
+    t.mock.method(Application, 'aggregate', async (pipeline) => {
+        calls.push(pipeline);
+        return applicants.map(applicant => ({ ...applicant }));
+    });
+    return calls;
+};
+
+const statusFilter = (pipeline) => pipeline.find(stage => stage.$match?.status).$match.status.$in;
+
+test('safeName keeps file names to ASCII letters, digits, dots and dashes', () => {
+    assert.strictEqual(safeName('Anaïs  Müller'), 'Anais_Muller');
+    assert.strictEqual(safeName('CS-2021/04'), 'CS-2021_04');
+    assert.strictEqual(safeName('../../etc/passwd'), 'etc_passwd');
+    assert.strictEqual(safeName('  '), 'file');
+    assert.strictEqual(safeName(undefined, 'NO_ROLL'), 'NO_ROLL');
+});
+
+test('bundles leave out withdrawn applications unless asked for', async (t) => {
+    const calls = stubApplicants(t, []);
+
+    await loadBundleApplicants(null);
+    assert.ok(!statusFilter(calls[0]).includes('withdrawn'));
+    assert.ok(statusFilter(calls[0]).includes('offered'));
+
+    await loadBundleApplicants(null, { status: 'withdrawn' });
+    assert.deepStrictEqual(statusFilter(calls[1]), ['withdrawn']);
+
+    assert.match((await loadBundleApplicants(null, { status: 'hired' })).error, /Invalid status/);
+});
+
+test('every applicant gets a unique, readable file name', async (t) => {
+    stubApplicants(t, [
+        { rollNo: 'CS01', name: 'Asha Rao', resume: 'placement/resumes/resume-1.pdf', companyName: 'Acme' },
+        { rollNo: 'CS01', name: 'Asha Rao', resume: 'placement/resumes/resume-2.PDF', companyName: 'Acme' },
+        { rollNo: 'cs01', name: 'asha rao', resume: 'placement/resumes/resume-3.pdf', companyName: 'Acme' },
+        { name: 'Ravi', companyName: 'Globex' }
+    ]);
+
+    const { applicants } = await loadBundleApplicants(null);
+    assert.deepStrictEqual(applicants.map(a => a.fileName), [
+        'CS01_Asha_Rao.pdf', 'CS01_Asha_Rao_2.pdf', 'cs01_asha_rao_3.pdf', 'NO_ROLL_Ravi.pdf'
+    ]);
+
+    const { applicants: foldered } = await loadBundleApplicants(null, {}, { folderFor: a => safeName(a.companyName) });
+    assert.deepStrictEqual(foldered.map(a => a.fileName), [
+        'Acme/CS01_Asha_Rao.pdf', 'Acme/CS01_Asha_Rao_2.pdf', 'Acme/cs01_asha_rao_3.pdf', 'Globex/NO_ROLL_Ravi.pdf'
+    ]);
+});
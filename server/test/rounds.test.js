@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Round = require('../models/round');
+const { OWN_APPLICATION_ERROR } = require('../utils/applicationStatus');
+const { recordRoundResult } = require('../controller/rounds');
+
+const studentId = new mongoose.Types.ObjectId();
+const applicationId = new mongoose.Types.ObjectId();
+
+const call = async (handler, req) => {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    await handler(req, res);
+    return res;
+};
+
+const mockRound = (t) => {
+    const round = {
+        _id: new mongoose.Types.ObjectId(),
+        candidates: [{ applicationId, userId: studentId }],
+        saved: 0,
+        async save() { this.saved++; }
+    };
+    t.mock.method(Round, 'findById', async () => round);
+    return round;
+};
+
+const resultRequest = (callerId) => ({
+    params: { id: new mongoose.Types.ObjectId().toString(), applicationId: applicationId.toString() },
+    body: { result: 'passed', remarks: ' Strong ' },
+    user: { id: callerId.toString() }
+});
+
+test('recordRoundResult records a candidate result', async (t) => {
+    const round = mockRound(t);
+    const res = await call(recordRoundResult, resultRequest(new mongoose.Types.ObjectId()));
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(round.saved, 1);
+    assert.strictEqual(round.candidates[0].result, 'passed');
+    assert.strictEqual(round.candidates[0].remarks, 'Strong');
+});
+
+test('a student coordinator cannot record the result of their own round', async (t) => {
+    const round = mockRound(t);
+    const res = await call(recordRoundResult, resultRequest(studentId));
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.deepStrictEqual(res.body, { error: OWN_APPLICATION_ERROR });
+    assert.strictEqual(round.saved, 0);
+    assert.strictEqual(round.candidates[0].result, undefined);
+});
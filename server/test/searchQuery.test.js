@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseSearchQuery,
+    matchesQuery,
+    necessaryCondition,
+    evaluateCondition,
+    conditionTerms,
+    databasePattern,
+    countMatches,
+    highlight
+} = require('../utils/searchQuery');
+
+const matches = (query, text) => matchesQuery(parseSearchQuery(query).ast, text);
+
+test('adjacent words are ANDed and OR, NOT and - combine them', () => {
+    assert.ok(matches('react node', 'React and Node developer'));
+    assert.ok(!matches('react node', 'React developer'));
+    assert.ok(matches('react OR angular', 'Angular developer'));
+    assert.ok(matches('react -php', 'React developer'));
+    assert.ok(!matches('react -php', 'React and PHP developer'));
+    assert.ok(!matches('react NOT php', 'React and PHP developer'));
+    assert.ok(matches('react AND (intern OR internship)', 'React internship'));
+});
+
+test('terms match whole words, phrases and prefixes', () => {
+    assert.ok(!matches('java', 'JavaScript developer'));
+    assert.ok(matches('java*', 'JavaScript developer'));
+    assert.ok(matches('"machine learning"', 'Machine   learning projects'));
+    assert.ok(!matches('"machine learning"', 'learning machine'));
+});
+
+test('invalid queries are reported', () => {
+    assert.strictEqual(parseSearchQuery('').error, 'Search query is required');
+    assert.ok(parseSearchQuery('(react').error);
+    assert.ok(parseSearchQuery('x'.repeat(501)).error);
+    assert.ok(parseSearchQuery(Array.from({ length: 31 }, (_, i) => `t${i}`).join(' ')).error);
+});
+
+test('necessaryCondition drops NOT parts and keeps the AND/OR shape', () => {
+    assert.strictEqual(necessaryCondition(parseSearchQuery('NOT java').ast), null);
+    assert.strictEqual(necessaryCondition(parseSearchQuery('react OR -php').ast), null);
+
+    const condition = necessaryCondition(parseSearchQuery('react AND (intern OR internship) -php').ast);
+    assert.deepStrictEqual(conditionTerms(condition).map(t => t.value), ['react', 'intern', 'internship']);
+
+    const has = (...values) => (term) => values.includes(term.value);
+    assert.ok(evaluateCondition(condition, has('react', 'internship')));
+    assert.ok(!evaluateCondition(condition, has('react')));
+    assert.ok(!evaluateCondition(condition, has('intern', 'internship')));
+});
+
+test('databasePattern escapes the term and allows any spacing in phrases', () => {
+    const [cpp, phrase] = parseSearchQuery('c++ "machine learning"').terms;
+    assert.strictEqual(databasePattern(cpp), 'c\\+\\+');
+    assert.strictEqual(databasePattern(phrase), 'machine\\s+learning');
+});
+
+test('countMatches and highlight use the positive terms', () => {
+    const { terms } = parseSearchQuery('react -php');
+    assert.strictEqual(countMatches(terms, 'React, react and PHP'), 2);
+    assert.deepStrictEqual(highlight(terms, 'Built <b>React</b> apps'), ['Built &lt;b&gt;<mark>React</mark>&lt;/b&gt; apps']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = root;
+const { storage, newKey, contentTypeForKey, registerDriver } = require('../utils/storage');
+const { serveSignedFile } = require('../controller/files');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Response that collects the headers and body serveSignedFile writes
+const fakeRes = () => {
+    const res = new Writable({ write(chunk, encoding, done) { this.body += chunk; done(); } });
+    res.body = '';
+    res.headers = {};
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.jsonBody = body; res.end(); return res; };
+    return res;
+};
+
+const serve = async (key, filename) => {
+    const url = new URL(await storage.signedUrl(key, { expiresIn: 60, filename }), 'http://localhost');
+    const res = fakeRes();
+    const finished = new Promise(resolve => res.on('finish', resolve));
+    await serveSignedFile({ params: { key: key.split('/') }, query: Object.fromEntries(url.searchParams) }, res);
+    await finished;
+    return res;
+};
+
+test('keys that could escape the storage root are refused', async () => {
+    for (const key of ['', '/etc/passwd', '../secret.pdf', 'placement/../../secret.pdf', 'placement//resume.pdf', 'placement/./resume.pdf']) {
+        await assert.rejects(storage.getStream(key), /Invalid storage key/, key);
+        await assert.rejects(storage.signedUrl(key), /Invalid storage key/, key);
+    }
+});
+
+test('new keys take their extension from the content type', () => {
+    assert.match(newKey('placement/resumes', 'application/pdf', 'resume'), /^placement\/resumes\/resume-\d+-[0-9a-f]{12}\.pdf$/);
+    assert.match(newKey('placement/photos', 'image/jpeg', 'photo'), /\.jpg$/);
+    assert.match(newKey('placement/photos', 'image/png', 'photo'), /\.png$/);
+    assert.throws(() => newKey('placement/resumes', 'text/html', 'resume'), /Unsupported file type/);
+    assert.throws(() => newKey('placement/resumes', undefined, 'resume'), /Unsupported file type/);
+});
+
+test('stored files are served only as the known types', () => {
+    assert.strictEqual(contentTypeForKey('placement/resumes/resume-1.pdf'), 'application/pdf');
+    assert.strictEqual(contentTypeForKey('placement/photos/photo-1.JPEG'), 'image/jpeg');
+    assert.strictEqual(contentTypeForKey('placement/photos/photo-1.png'), 'image/png');
+    assert.strictEqual(contentTypeForKey('placement/photos/photo-1.html'), 'application/octet-stream');
+    assert.strictEqual(contentTypeForKey('placement/photos/photo-1.svg'), 'application/octet-stream');
+    assert.strictEqual(contentTypeForKey('placement/photos/photo-1'), 'application/octet-stream');
+});
+
+test('files round-trip through the local driver', async () => {
+    const source = path.join(root, 'upload.pdf');
+    fs.writeFileSync(source, '%PDF-1.4 test');
+    const key = newKey('placement/resumes', 'application/pdf', 'resume');
+
+    await storage.put(key, source, { contentType: 'application/pdf' });
+    assert.strictEqual((await storage.readBuffer(key, 1024)).toString(), '%PDF-1.4 test');
+    await assert.rejects(storage.readBuffer(key, 4), /larger than 4 bytes/);
+    assert.match(await storage.signedUrl(key, { expiresIn: 60 }), /\/api\/files\/placement\/resumes\/.+\?expires=\d+&signature=[0-9a-f]+/);
+
+    assert.strictEqual(await storage.delete(key), true);
+    await assert.rejects(storage.getStream(key), { code: 'ENOENT' });
+});
+
+test('readBuffer works with any registered driver', async () => {
+    registerDriver('memory-test', { getStream: async () => Readable.from([Buffer.from('ab'), Buffer.from('cd')]) });
+    process.env.STORAGE_DRIVER = 'memory-test';
+    try {
+        assert.strictEqual((await storage.readBuffer('any/key.pdf', 10)).toString(), 'abcd');
+    } finally {
+        process.env.STORAGE_DRIVER = 'local';
+    }
+});
+
+test('signed files download unless they are images, and are never sniffed', async () => {
+    const source = path.join(root, 'upload.bin');
+    fs.writeFileSync(source, '<html><script>alert(1)</script></html>');
+    const resumeKey = newKey('placement/resumes', 'application/pdf', 'resume');
+    const photoKey = newKey('placement/photos', 'image/png', 'photo');
+    const legacyKey = 'placement/photos/photo-1-legacy.html';
+    for (const key of [resumeKey, photoKey, legacyKey]) await storage.put(key, source);
+
+    const resume = await serve(resumeKey, 'CV.pdf');
+    assert.strictEqual(resume.headers['content-type'], 'application/pdf');
+    assert.strictEqual(resume.headers['content-disposition'], 'attachment; filename="CV.pdf"');
+    assert.strictEqual(resume.headers['x-content-type-options'], 'nosniff');
+    assert.match(resume.body, /<html>/);
+
+    const photo = await serve(photoKey);
+    assert.strictEqual(photo.headers['content-type'], 'image/png');
+    assert.match(photo.headers['content-disposition'], /^inline; /);
+    assert.strictEqual(photo.headers['x-content-type-options'], 'nosniff');
+
+    const legacy = await serve(legacyKey);
+    assert.strictEqual(legacy.headers['content-type'], 'application/octet-stream');
+    assert.match(legacy.headers['content-disposition'], /^attachment; /);
+});
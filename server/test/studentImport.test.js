@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeStudentRow, validateStudentRow, diffStudentDetails } = require('../utils/studentImport');
+
+test('normalizeStudentRow accepts header variants', () => {
+    const row = normalizeStudentRow({ 'Full Name': ' Asha Rao ', 'Email': 'ASHA@Example.com', 'Roll No': 'CS01', 'Sem': '6', 'GPA': '8.2' });
+    assert.strictEqual(row.name, 'Asha Rao');
+    assert.strictEqual(row.email, 'asha@example.com');
+    assert.strictEqual(row.rollNo, 'CS01');
+    assert.strictEqual(row.role, 'student');
+    assert.strictEqual(row.semester, '6');
+    assert.strictEqual(row.cgpa, '8.2');
+});
+
+test('validateStudentRow converts values and keeps only the fields present', () => {
+    const { student, errors } = validateStudentRow(normalizeStudentRow({
+        name: 'Asha', email: 'asha@example.com', rollNo: 'CS01', graduationYear: '2026', cgpa: '8.5', backlogs: '0', role: 'coordinator'
+    }));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(student.role, 'student_coordinator');
+    assert.deepStrictEqual(student.details, { rollNo: 'CS01', graduationYear: 2026, cgpa: 8.5, activeBacklogs: 0 });
+});
+
+test('validateStudentRow reports every problem in a row', () => {
+    const { errors } = validateStudentRow(normalizeStudentRow({
+        email: 'not-an-email', role: 'admin', graduationYear: '26', cgpa: '12', backlogs: '-1'
+    }));
+    assert.strictEqual(errors.length, 6);
+    assert.ok(errors.includes('Missing name'));
+    assert.ok(errors.some(e => e.startsWith("Invalid role 'admin'")));
+});
+
+test('diffStudentDetails lists the updatable fields that change', () => {
+    const existing = { details: { rollNo: 'CS01', course: 'B.Tech', cgpa: 8 } };
+    assert.deepStrictEqual(diffStudentDetails(existing, { rollNo: 'CS02', course: 'B.Tech', cgpa: 8.5, semester: '7' }), {
+        semester: { from: null, to: '7' },
+        cgpa: { from: 8, to: 8.5 }
+    });
+});
@@ -0,0 +1,91 @@
+// Applicant listing shared by the applicant routes, exports and resume bundles
+const mongoose = require('mongoose');
+const { APPLICATION_STATUSES } = require('./applicationStatus');
+
+// Sortable applicant fields -> path in the aggregated document
+const APPLICANT_SORT_FIELDS = {
+    appliedAt: 'appliedAt',
+    name: 'name',
+    email: 'email',
+    rollNo: 'rollNo',
+    course: 'course',
+    graduationYear: 'graduationYear',
+    status: 'status'
+};
+
+const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the aggregation pipeline listing a company's applicants with their student details
+// (every company's when companyId is null).
+// Supports ?status=, ?course=, ?year=, ?postingId=, ?sortBy=, ?order=; returns { pipeline } or { error }.
+const buildApplicantPipeline = (companyId, query = {}) => {
+    const { status, course, year, postingId, sortBy = 'appliedAt', order = 'desc' } = query;
+
+    const match = companyId ? { companyId: new mongoose.Types.ObjectId(companyId) } : {};
+    if (status) {
+        const statuses = status.toString().split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = statuses.filter(s => !APPLICATION_STATUSES.includes(s));
+        if (invalid.length) {
+            return { error: `Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}` };
+        }
+        match.status = { $in: statuses };
+    }
+    if (postingId) {
+        if (!mongoose.isValidObjectId(postingId)) {
+            return { error: 'Invalid job posting ID format' };
+        }
+        match.postingId = new mongoose.Types.ObjectId(postingId);
+    }
+
+    const studentMatch = {};
+    if (course) {
+        studentMatch['student.details.course'] = new RegExp(`^${escapeRegex(course.toString().trim())}$`, 'i');
+    }
+    if (year) {
+        const graduationYear = parseInt(year, 10);
+        if (isNaN(graduationYear)) {
+            return { error: 'Year must be a valid graduation year' };
+        }
+        studentMatch['student.details.graduationYear'] = graduationYear;
+    }
+
+    const sortField = APPLICANT_SORT_FIELDS[sortBy];
+    if (!sortField) {
+        return { error: `Invalid sortBy. Must be one of: ${Object.keys(APPLICANT_SORT_FIELDS).join(', ')}` };
+    }
+    const sortOrder = order === 'asc' ? 1 : -1;
+
+    const pipeline = [
+        { $match: match },
+        { $lookup: { from: 'students', localField: 'userId', foreignField: '_id', as: 'student' } },
+        { $unwind: '$student' },
+        { $match: studentMatch },
+        { $lookup: { from: 'jobpostings', localField: 'postingId', foreignField: '_id', as: 'posting' } },
+        { $unwind: { path: '$posting', preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                applicationId: '$_id',
+                companyId: '$companyId',
+                studentId: '$student._id',
+                name: '$student.name',
+                email: '$student.email',
+                rollNo: '$student.details.rollNo',
+                course: '$student.details.course',
+                graduationYear: '$student.details.graduationYear',
+                postingId: '$posting._id',
+                postingTitle: '$posting.title',
+                status: '$status',
+                appliedAt: '$createdAt',
+                resume: '$resume',
+                photo: '$student.details.photo'
+            }
+        },
+        // _id tiebreaker keeps pagination stable when sort keys repeat
+        { $sort: { [sortField]: sortOrder, applicationId: 1 } }
+    ];
+
+    return { pipeline };
+};
+
+module.exports = { APPLICANT_SORT_FIELDS, buildApplicantPipeline };
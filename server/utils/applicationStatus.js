@@ -0,0 +1,63 @@
+// Application status pipeline: which statuses an application may move to from each status
+const APPLICATION_STATUSES = ['applied', 'interviewing', 'offered', 'rejected', 'withdrawn'];
+
+// Statuses coordinators may set with the status routes. 'withdrawn' is only reachable by the
+// student withdrawing and 'offered' only by making an offer, so every offered application has one
+const COORDINATOR_STATUSES = ['applied', 'interviewing', 'rejected'];
+
+// Recruiter decisions: shortlist (interviewing) or reject; offers are made with the offer route
+const RECRUITER_STATUSES = ['interviewing', 'rejected'];
+
+const STATUS_TRANSITIONS = {
+    applied: ['interviewing', 'offered', 'rejected', 'withdrawn'],
+    interviewing: ['offered', 'rejected'],
+    // Revoked offers end in 'rejected', declined ones in 'withdrawn'
+    offered: ['rejected', 'withdrawn'],
+    rejected: [],
+    withdrawn: []
+};
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Move an application to a new status and record it in its history.
+// Returns an error message when the transition is not allowed, null otherwise (caller saves).
+const applyStatusChange = (application, to, { changedBy, remark } = {}) => {
+    if (!APPLICATION_STATUSES.includes(to)) {
+        return `Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}`;
+    }
+    const from = application.status;
+    if (from === to) {
+        return `Application is already '${to}'`;
+    }
+    if (!canTransition(from, to)) {
+        const allowed = STATUS_TRANSITIONS[from] || [];
+        return `Cannot move application from '${from}' to '${to}'` +
+            (allowed.length ? `. Allowed: ${allowed.join(', ')}` : `. '${from}' is a final status`);
+    }
+
+    application.status = to;
+    application.statusHistory.push({
+        from,
+        to,
+        changedBy,
+        remark: remark ? remark.toString().trim() : undefined,
+        changedAt: new Date()
+    });
+    return null;
+};
+
+// Student coordinators both apply and manage applications; nobody may act on their own
+const OWN_APPLICATION_ERROR = 'You cannot change the status of your own application';
+const isOwnApplication = (application, userId) =>
+    String(application.userId?._id || application.userId) === String(userId);
+
+module.exports = {
+    APPLICATION_STATUSES,
+    COORDINATOR_STATUSES,
+    RECRUITER_STATUSES,
+    STATUS_TRANSITIONS,
+    canTransition,
+    applyStatusChange,
+    OWN_APPLICATION_ERROR,
+    isOwnApplication
+};
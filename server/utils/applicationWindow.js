@@ -0,0 +1,43 @@
+// Application window (open/close timestamps) of a placement drive
+
+// Parse a window timestamp from a request body.
+// undefined means "not provided", null/'' means "clear it"; returns { value } or { error }.
+const parseWindowDate = (input, label) => {
+    if (input === undefined) return { value: undefined };
+    if (input === null || input === '') return { value: null };
+    const date = new Date(input);
+    if (isNaN(date.getTime())) {
+        return { error: `${label} must be a valid date` };
+    }
+    return { value: date };
+};
+
+// Describe where a drive's window stands at `now`
+const getWindowState = (drive, now = new Date()) => {
+    const opensAt = drive?.applicationOpensAt || null;
+    const closesAt = drive?.applicationClosesAt || null;
+
+    let status = 'open';
+    if (opensAt && now < opensAt) status = 'upcoming';
+    else if (closesAt && now >= closesAt) status = 'closed';
+
+    return {
+        status,
+        isOpen: status === 'open',
+        opensAt,
+        closesAt,
+        // null when the drive has no deadline
+        timeRemainingMs: status === 'open' && closesAt ? closesAt.getTime() - now.getTime() : null,
+        timeUntilOpenMs: status === 'upcoming' ? opensAt.getTime() - now.getTime() : null
+    };
+};
+
+// Mongo filter matching drives whose window is open at `now`
+const openWindowFilter = (now = new Date()) => ({
+    $and: [
+        { $or: [{ applicationOpensAt: null }, { applicationOpensAt: { $lte: now } }] },
+        { $or: [{ applicationClosesAt: null }, { applicationClosesAt: { $gt: now } }] }
+    ]
+});
+
+module.exports = { parseWindowDate, getWindowState, openWindowFilter };
@@ -0,0 +1,101 @@
+// Eligibility rules for a placement drive and the checks run against a student's details
+
+const normalizeCourse = (s = '') => s.toString().trim().toLowerCase();
+
+// Validate and normalise eligibility input from a request body.
+// Returns { value } on success or { error } with a message suitable for a 400 response.
+// A missing value leaves the rules as they are (value undefined); null or '' removes them (value null).
+const parseEligibility = (input) => {
+    if (input === undefined) return { value: undefined };
+    if (input === null || input === '') return { value: null };
+
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            return { error: 'Eligibility must be a JSON object' };
+        }
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'Eligibility must be an object' };
+    }
+
+    const toList = (v) => (Array.isArray(v) ? v : String(v).split(','))
+        .map(x => x.toString().trim())
+        .filter(Boolean);
+
+    const value = {};
+
+    if (raw.courses !== undefined && raw.courses !== null) {
+        value.courses = toList(raw.courses);
+    }
+
+    if (raw.graduationYears !== undefined && raw.graduationYears !== null) {
+        const years = toList(raw.graduationYears).map(y => parseInt(y, 10));
+        if (years.some(y => isNaN(y) || y < 1900)) {
+            return { error: 'Graduation years must be valid years' };
+        }
+        value.graduationYears = years;
+    }
+
+    if (raw.minCgpa !== undefined && raw.minCgpa !== null && raw.minCgpa !== '') {
+        const minCgpa = parseFloat(raw.minCgpa);
+        if (isNaN(minCgpa) || minCgpa < 0 || minCgpa > 10) {
+            return { error: 'Minimum CGPA must be a number between 0 and 10' };
+        }
+        value.minCgpa = minCgpa;
+    }
+
+    if (raw.maxBacklogs !== undefined && raw.maxBacklogs !== null && raw.maxBacklogs !== '') {
+        const maxBacklogs = parseInt(raw.maxBacklogs, 10);
+        if (isNaN(maxBacklogs) || maxBacklogs < 0) {
+            return { error: 'Maximum backlogs must be a non-negative integer' };
+        }
+        value.maxBacklogs = maxBacklogs;
+    }
+
+    return { value };
+};
+
+// Check a student against a drive's eligibility rules.
+// Returns { eligible, reasons } where reasons lists every rule the student fails.
+const checkEligibility = (student, eligibility) => {
+    const reasons = [];
+    if (!eligibility) return { eligible: true, reasons };
+
+    const details = student?.details || {};
+    const { courses, graduationYears, minCgpa, maxBacklogs } = eligibility;
+
+    if (courses && courses.length) {
+        const allowed = courses.map(normalizeCourse);
+        if (!details.course || !allowed.includes(normalizeCourse(details.course))) {
+            reasons.push(`Course must be one of: ${courses.join(', ')}`);
+        }
+    }
+
+    if (graduationYears && graduationYears.length) {
+        if (!details.graduationYear || !graduationYears.includes(Number(details.graduationYear))) {
+            reasons.push(`Graduation year must be one of: ${graduationYears.join(', ')}`);
+        }
+    }
+
+    if (minCgpa !== undefined && minCgpa !== null) {
+        if (details.cgpa === undefined || details.cgpa === null) {
+            reasons.push(`Minimum CGPA of ${minCgpa} required, but no CGPA is on your profile`);
+        } else if (details.cgpa < minCgpa) {
+            reasons.push(`Minimum CGPA of ${minCgpa} required (yours: ${details.cgpa})`);
+        }
+    }
+
+    if (maxBacklogs !== undefined && maxBacklogs !== null) {
+        const backlogs = details.activeBacklogs || 0;
+        if (backlogs > maxBacklogs) {
+            reasons.push(`At most ${maxBacklogs} active backlog(s) allowed (yours: ${backlogs})`);
+        }
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+};
+
+module.exports = { parseEligibility, checkEligibility };
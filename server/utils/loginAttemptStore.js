@@ -0,0 +1,73 @@
+// Storage for failed-login counters, chosen with LOGIN_ATTEMPT_STORE:
+// - mongo (default): shared by every server process, survives restarts
+// - memory:          per process, for tests and local development
+// Every store exposes get(key), recordFailure(key), lock(key, until), releaseLock(key, lockedUntil,
+// failures) and reset(key); records look like { failures, lastFailureAt, lockedUntil }.
+// releaseLock only applies while the record still carries that lock, so concurrent callers
+// release it once.
+const LoginAttempt = require('../models/loginAttempt');
+
+const createMemoryStore = () => {
+    const records = new Map();
+    return {
+        async get(key) {
+            return records.get(key) || null;
+        },
+        async recordFailure(key) {
+            const record = records.get(key) || { failures: 0, lastFailureAt: null, lockedUntil: null };
+            record.failures++;
+            record.lastFailureAt = new Date();
+            records.set(key, record);
+            return { ...record };
+        },
+        async lock(key, until) {
+            const record = records.get(key) || { failures: 0, lastFailureAt: null };
+            records.set(key, { ...record, lockedUntil: until });
+        },
+        async releaseLock(key, lockedUntil, failures) {
+            const record = records.get(key);
+            if (!record || record.lockedUntil?.getTime() !== new Date(lockedUntil).getTime()) return;
+            records.set(key, { ...record, failures, lockedUntil: null });
+        },
+        async reset(key) {
+            records.delete(key);
+        }
+    };
+};
+
+const createMongoStore = () => ({
+    async get(key) {
+        return LoginAttempt.findOne({ key }).lean();
+    },
+    async recordFailure(key) {
+        return LoginAttempt.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+            { upsert: true, new: true, lean: true }
+        );
+    },
+    async lock(key, until) {
+        await LoginAttempt.updateOne({ key }, { $set: { lockedUntil: until } }, { upsert: true });
+    },
+    async releaseLock(key, lockedUntil, failures) {
+        await LoginAttempt.updateOne({ key, lockedUntil }, { $set: { failures, lockedUntil: null } });
+    },
+    async reset(key) {
+        await LoginAttempt.deleteOne({ key });
+    }
+});
+
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+const createLoginAttemptStore = (name = process.env.LOGIN_ATTEMPT_STORE || 'mongo') => {
+    const factory = stores[name.trim().toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown LOGIN_ATTEMPT_STORE "${name}". Available: ${Object.keys(stores).join(', ')}`);
+    }
+    return factory();
+};
+
+module.exports = { createLoginAttemptStore, createMemoryStore, createMongoStore };
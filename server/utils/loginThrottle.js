@@ -0,0 +1,92 @@
+// Brute-force protection for logins: failed attempts are counted per account and per client IP.
+// After a few free failures each further attempt has to wait progressively longer, and past a
+// threshold the account (or IP) is locked for a while. When a lock runs out the counter is
+// halved, so the next lock needs fresh failures instead of following the first one that comes.
+const { createLoginAttemptStore } = require('./loginAttemptStore');
+
+const LOCK_DURATION_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+const LIMITS = {
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+};
+
+let store;
+const getStore = () => store || (store = createLoginAttemptStore());
+
+// Swap the store (e.g. an in-memory one in tests)
+const setLoginAttemptStore = (s) => {
+    store = s;
+};
+
+const accountKey = (email) => `account:${email.toString().trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// 1s, 2s, 4s... after the free attempts, capped at MAX_DELAY_MS
+const delayAfter = (failures, freeAttempts) => (failures <= freeAttempts
+    ? 0
+    : Math.min(1000 * 2 ** (failures - freeAttempts - 1), MAX_DELAY_MS));
+
+const keysFor = (email, ip) => [
+    { key: accountKey(email), limits: LIMITS.account },
+    ...(ip ? [{ key: ipKey(ip), limits: LIMITS.ip }] : [])
+];
+
+// Halve the counter of a record whose lock has run out; returns the record as it now stands
+const releaseExpiredLock = async (key, record, now) => {
+    if (!record?.lockedUntil || new Date(record.lockedUntil).getTime() > now) return record;
+    const failures = Math.floor(record.failures / 2);
+    await getStore().releaseLock(key, record.lockedUntil, failures);
+    return { ...record, failures, lockedUntil: null };
+};
+
+// May this email/IP try to log in right now? Returns { allowed, reason, retryAfterMs }
+const checkLoginAllowed = async (email, ip) => {
+    const now = Date.now();
+    let result = { allowed: true, reason: null, retryAfterMs: 0 };
+
+    for (const { key, limits } of keysFor(email, ip)) {
+        const record = await releaseExpiredLock(key, await getStore().get(key), now);
+        if (!record) continue;
+
+        if (record.lockedUntil) {
+            const retryAfterMs = new Date(record.lockedUntil).getTime() - now;
+            return { allowed: false, reason: 'locked', retryAfterMs };
+        }
+
+        const delay = delayAfter(record.failures, limits.freeAttempts);
+        const nextAllowedAt = record.lastFailureAt ? new Date(record.lastFailureAt).getTime() + delay : 0;
+        if (nextAllowedAt > now && nextAllowedAt - now > result.retryAfterMs) {
+            result = { allowed: false, reason: 'throttled', retryAfterMs: nextAllowedAt - now };
+        }
+    }
+
+    return result;
+};
+
+// Count a failed login and lock the account/IP once it crosses its threshold
+const recordLoginFailure = async (email, ip) => {
+    for (const { key, limits } of keysFor(email, ip)) {
+        await releaseExpiredLock(key, await getStore().get(key), Date.now());
+        const record = await getStore().recordFailure(key);
+        if (record.failures >= limits.lockAfter) {
+            await getStore().lock(key, new Date(Date.now() + LOCK_DURATION_MS));
+        }
+    }
+};
+
+// A successful login clears the account's counter; the IP's is kept so that guessing
+// across many accounts from one address still adds up
+const recordLoginSuccess = (email) => getStore().reset(accountKey(email));
+
+// Lift a lockout by hand (coordinator action)
+const unlockLogin = (email) => getStore().reset(accountKey(email));
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockLogin,
+    setLoginAttemptStore
+};
@@ -0,0 +1,70 @@
+// Outgoing mail through a pluggable transport chosen with MAIL_TRANSPORT:
+// - console: print messages to the server log; the default outside production only
+// - file:   write each message as JSON into MAIL_FILE_DIR (default server/mail-outbox)
+// - smtp:   send through nodemailer using SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// Other transports can be added with registerTransport(name, send).
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Placement Cell <no-reply@placement.local>';
+
+const transports = {
+    console: async (message) => {
+        console.log('--- Outgoing mail ---');
+        console.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+        console.log('---------------------');
+    },
+
+    file: async (message) => {
+        const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+    },
+
+    smtp: (() => {
+        let transporter;
+        return async (message) => {
+            if (!transporter) {
+                const nodemailer = require('nodemailer');
+                transporter = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+                });
+            }
+            await transporter.sendMail(message);
+        };
+    })()
+};
+
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+// Printed mail would put working password-reset links in production logs, so production has
+// to name a transport
+const getTransportName = () => {
+    const configured = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+    if (configured) return configured;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set when NODE_ENV is production (smtp, file, or a registered transport)');
+    }
+    return 'console';
+};
+
+// Fail at startup rather than on the first password reset
+getTransportName();
+
+// Send a message ({ to, subject, text, html? }) through the configured transport
+const sendMail = async (message) => {
+    const name = getTransportName();
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${Object.keys(transports).join(', ')}`);
+    }
+    await transport({ from: MAIL_FROM, ...message });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,90 @@
+const Application = require('../models/application');
+const Offer = require('../models/offer');
+const { applyStatusChange } = require('./applicationStatus');
+const { runInTransaction } = require('./transactions');
+
+// Where an application goes when its offer closes without being accepted
+const CLOSED_OFFER_STATUSES = {
+    revoked: 'rejected',
+    declined: 'withdrawn',
+    expired: 'withdrawn'
+};
+
+const ACCEPTED_OFFER_ERROR = 'The student has accepted the offer on this application';
+
+// Why the student cannot accept or decline `offer` now, or null. `application` is the offer's
+// application, which must still be "offered" (a status change may have moved it on).
+const offerResponseError = (offer, application) => {
+    if (offer.status !== 'pending') {
+        return `This offer can no longer be answered (it is ${offer.status})`;
+    }
+    if (application?.status !== 'offered') {
+        return `This offer can no longer be answered (the application is ${application?.status || 'deleted'})`;
+    }
+    return null;
+};
+
+const isOfferPastDeadline = (offer, now = new Date()) => offer.status === 'pending' && offer.acceptBy < now;
+
+// Save an offer that was revoked, declined or expired and move its application out of "offered"
+// (see CLOSED_OFFER_STATUSES) in the same transaction. Without transactions, the offer is saved
+// first and the application after.
+const closeOfferedApplication = async (offer, { changedBy, remark } = {}) => {
+    await runInTransaction(async (session) => {
+        await offer.save({ session });
+        const application = await Application.findById(offer.applicationId).session(session);
+        if (application && application.status === 'offered') {
+            applyStatusChange(application, CLOSED_OFFER_STATUSES[offer.status], { changedBy, remark });
+            await application.save({ session });
+        }
+    });
+};
+
+// Expire pending offers past their deadline (optionally narrowed by `filter`) and close their
+// applications
+const expireStaleOffers = async (filter = {}) => {
+    const stale = await Offer.find({ ...filter, status: 'pending', acceptBy: { $lt: new Date() } });
+    for (const offer of stale) {
+        offer.status = 'expired';
+        await closeOfferedApplication(offer, { remark: 'Offer expired' });
+    }
+    return stale.length;
+};
+
+// Pending or accepted offers of the given applications, by application ID. Status changes out
+// of "offered" revoke a pending offer and are refused while the offer is accepted.
+const findOpenOffers = async (applicationIds) => {
+    if (!applicationIds.length) return new Map();
+    const offers = await Offer.find({ applicationId: { $in: applicationIds }, status: { $in: ['pending', 'accepted'] } });
+    return new Map(offers.map(o => [o.applicationId.toString(), o]));
+};
+
+// Save applications after a status change, revoking the pending offer (from findOpenOffers) of
+// each one that left "offered", in one transaction
+const saveStatusChanges = async (applications, openOffers = new Map()) => {
+    const revoked = applications
+        .filter(a => a.status !== 'offered')
+        .map(a => openOffers.get(a._id.toString()))
+        .filter(offer => offer?.status === 'pending');
+    const respondedAt = new Date();
+    await runInTransaction(async (session) => {
+        for (const application of applications) {
+            await application.save({ session });
+        }
+        for (const offer of revoked) {
+            offer.set({ status: 'revoked', respondedAt });
+            await offer.save({ session });
+        }
+    });
+};
+
+module.exports = {
+    CLOSED_OFFER_STATUSES,
+    ACCEPTED_OFFER_ERROR,
+    offerResponseError,
+    isOfferPastDeadline,
+    closeOfferedApplication,
+    expireStaleOffers,
+    findOpenOffers,
+    saveStatusChanges
+};
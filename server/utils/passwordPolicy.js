@@ -0,0 +1,42 @@
+// Password strength policy applied whenever a user chooses a password
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = parseInt(process.env.MIN_PASSWORD_LENGTH, 10) || 8;
+
+// Check a candidate password; returns the list of unmet rules (empty when it is acceptable).
+// `user` ({ email, details.rollNo }) lets the policy reject passwords built from the account itself.
+const checkPasswordStrength = (password, user = {}) => {
+    const failures = [];
+    const pwd = (password ?? '').toString();
+
+    if (pwd.length < MIN_PASSWORD_LENGTH) failures.push(`Must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    if (!/[a-z]/.test(pwd)) failures.push('Must contain a lowercase letter');
+    if (!/[A-Z]/.test(pwd)) failures.push('Must contain an uppercase letter');
+    if (!/[0-9]/.test(pwd)) failures.push('Must contain a digit');
+    if (!/[^A-Za-z0-9]/.test(pwd)) failures.push('Must contain a symbol');
+
+    const lower = pwd.toLowerCase();
+    const rollNo = user.details?.rollNo?.toString().trim().toLowerCase();
+    const emailName = user.email?.toString().split('@')[0].toLowerCase();
+    if ((rollNo && lower.includes(rollNo)) || (emailName && emailName.length >= 3 && lower.includes(emailName))) {
+        failures.push('Must not contain your roll number or email');
+    }
+
+    return failures;
+};
+
+// Random initial password that satisfies the policy (used for bulk-registered accounts)
+const generateRandomPassword = (length = 12) => {
+    const sets = ['abcdefghijkmnopqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789', '!@#$%&*?'];
+    const all = sets.join('');
+    // One character from each set, the rest from all of them, then shuffle
+    const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+    while (chars.length < length) chars.push(all[crypto.randomInt(all.length)]);
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+};
+
+module.exports = { MIN_PASSWORD_LENGTH, checkPasswordStrength, generateRandomPassword };
@@ -0,0 +1,36 @@
+const Offer = require('../models/offer');
+const { placementPolicy } = require('../config/placementPolicy');
+
+// Check whether the placement policy lets a student take up another company's opportunity
+// (apply to it or accept its offer). Returns { allowed, reason }.
+const checkPlacementPolicy = async (studentId, company, { excludeOfferId } = {}) => {
+    if (placementPolicy === 'open') return { allowed: true, reason: null };
+
+    const filter = { userId: studentId, status: 'accepted' };
+    if (excludeOfferId) filter._id = { $ne: excludeOfferId };
+    const accepted = await Offer.find(filter).populate('companyId', 'name tier');
+    if (!accepted.length) return { allowed: true, reason: null };
+
+    const names = accepted.map(o => o.companyId?.name).filter(Boolean).join(', ');
+
+    if (placementPolicy === 'one_offer') {
+        return {
+            allowed: false,
+            reason: `You have already accepted an offer (${names}). The placement policy allows only one accepted offer.`
+        };
+    }
+
+    // higher_tier: the target company must outrank every accepted offer's company
+    const highestTier = Math.max(...accepted.map(o => o.companyId?.tier || 0));
+    const targetTier = company?.tier || 0;
+    if (targetTier <= highestTier) {
+        return {
+            allowed: false,
+            reason: `You have already accepted an offer (${names}) at tier ${highestTier}. ` +
+                `The placement policy only allows companies of a higher tier (this company is tier ${targetTier}).`
+        };
+    }
+    return { allowed: true, reason: null };
+};
+
+module.exports = { checkPlacementPolicy };
@@ -0,0 +1,134 @@
+// Student profile: validation of profile updates and the completeness rule
+// (config/profileRequirements.js)
+const { PROFILE_ITEMS, requiredProfileFields } = require('../config/profileRequirements');
+
+const PHOTO_FOLDER = 'placement/photos';
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+const MAX_TEXT_LENGTH = 100;
+const MAX_SKILLS = 50;
+const MAX_SKILL_LENGTH = 40;
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+const PROFILE_LINKS = {
+    linkedin: { pattern: /^https:\/\/(www\.)?linkedin\.com\/in\/[\w%-]+$/i, example: 'https://www.linkedin.com/in/your-name' },
+    github: { pattern: /^https:\/\/(www\.)?github\.com\/[A-Za-z0-9-]+$/i, example: 'https://github.com/your-username' }
+};
+
+const isBlank = (value) => value === undefined || value === null
+    || (typeof value === 'string' && !value.trim())
+    || (Array.isArray(value) && !value.length);
+
+// Required items the profile still lacks, as [{ field, label }]
+const getMissingProfileItems = (student) => requiredProfileFields
+    .filter(field => (field === 'resume' ? !student.defaultResume : isBlank(student.details?.[field])))
+    .map(field => ({ field, label: PROFILE_ITEMS[field] }));
+
+const isProfileComplete = (student) => getMissingProfileItems(student).length === 0;
+
+// Skills arrive as an array (JSON or repeated form fields) or a comma-separated string
+const parseSkills = (value) => {
+    let list = value;
+    if (typeof list === 'string' && list.trim().startsWith('[')) {
+        try {
+            list = JSON.parse(list);
+        } catch {
+            return { error: 'Skills must be a list or a comma-separated string' };
+        }
+    }
+    if (typeof list === 'string') list = list.split(',');
+
+    const seen = new Set();
+    const skills = [];
+    for (const skill of [].concat(list).map(s => String(s ?? '').trim().replace(/\s+/g, ' ')).filter(Boolean)) {
+        if (seen.has(skill.toLowerCase())) continue;
+        seen.add(skill.toLowerCase());
+        skills.push(skill);
+    }
+    if (skills.length > MAX_SKILLS) return { error: `You can list at most ${MAX_SKILLS} skills` };
+    if (skills.some(s => s.length > MAX_SKILL_LENGTH)) return { error: `Each skill must be at most ${MAX_SKILL_LENGTH} characters` };
+    return { skills };
+};
+
+// Profile URLs are stored as https without a trailing slash, query or fragment
+const normalizeProfileLink = (field, value) => {
+    let url = value.trim();
+    if (!/^https?:\/\//i.test(url)) url = `https://${url}`;
+    url = url.replace(/^http:/i, 'https:').replace(/[?#].*$/, '').replace(/\/+$/, '');
+    return PROFILE_LINKS[field].pattern.test(url) ? { url } : { error: `${PROFILE_ITEMS[field]} must look like ${PROFILE_LINKS[field].example}` };
+};
+
+// Validate the detail fields present in a profile update. Fields that are left out stay as
+// they are and an empty value clears a field. Returns { details, errors }.
+const parseProfileDetails = (body = {}) => {
+    const details = {};
+    const errors = [];
+    const given = (field) => body[field] !== undefined;
+    const cleared = (field) => body[field] === null || body[field] === '';
+
+    for (const field of ['rollNo', 'semester', 'course']) {
+        if (!given(field)) continue;
+        const value = cleared(field) ? '' : String(body[field]).trim();
+        if (value.length > MAX_TEXT_LENGTH) {
+            errors.push(`${PROFILE_ITEMS[field]} must be at most ${MAX_TEXT_LENGTH} characters`);
+        } else {
+            details[field] = value || undefined;
+        }
+    }
+
+    const numberField = (field, { min, max, integer = false, emptyValue }, message) => {
+        if (!given(field)) return;
+        if (cleared(field)) {
+            details[field] = emptyValue;
+            return;
+        }
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            errors.push(message);
+        } else {
+            details[field] = value;
+        }
+    };
+    numberField('graduationYear', { min: 1900, max: 2100, integer: true }, 'Graduation year must be a valid year');
+    numberField('cgpa', { min: 0, max: 10 }, 'CGPA must be between 0 and 10');
+    numberField('activeBacklogs', { min: 0, max: 100, integer: true, emptyValue: 0 }, 'Active backlogs must be a whole number of 0 or more');
+    numberField('tenthPercentage', { min: 0, max: 100 }, '10th percentage must be between 0 and 100');
+    numberField('twelfthPercentage', { min: 0, max: 100 }, '12th percentage must be between 0 and 100');
+
+    if (given('skills')) {
+        const { skills, error } = cleared('skills') ? { skills: [] } : parseSkills(body.skills);
+        if (error) errors.push(error);
+        else details.skills = skills;
+    }
+
+    if (given('phone')) {
+        const phone = cleared('phone') ? '' : String(body.phone).replace(/[\s().-]/g, '');
+        if (phone && !PHONE_PATTERN.test(phone)) {
+            errors.push('Phone number must have 10 to 15 digits, optionally starting with +');
+        } else {
+            details.phone = phone || undefined;
+        }
+    }
+
+    for (const field of Object.keys(PROFILE_LINKS)) {
+        if (!given(field)) continue;
+        if (cleared(field)) {
+            details[field] = undefined;
+            continue;
+        }
+        const { url, error } = normalizeProfileLink(field, String(body[field]));
+        if (error) errors.push(error);
+        else details[field] = url;
+    }
+
+    return { details, errors };
+};
+
+module.exports = {
+    PHOTO_FOLDER,
+    PHOTO_TYPES,
+    MAX_PHOTO_BYTES,
+    getMissingProfileItems,
+    isProfileComplete,
+    parseProfileDetails
+};
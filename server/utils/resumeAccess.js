@@ -0,0 +1,84 @@
+// Who may open a stored resume or profile photo, and the access log every hand-out is written to
+const Student = require('../models/students');
+const Application = require('../models/application');
+const ResumeAccessLog = require('../models/resumeAccessLog');
+const { CAPABILITIES, hasCapability } = require('../config/permissions');
+
+// Signed resume links are meant to be opened right away, not shared
+const RESUME_LINK_TTL_SECONDS = parseInt(process.env.RESUME_LINK_TTL_SECONDS, 10) || 5 * 60;
+
+// Photo access for checkResumeAccess: the owner, resume viewers, or recruiters of a company the
+// student applied to
+const checkPhotoAccess = async (user, studentId) => {
+    const result = { found: true, allowed: true, studentId, kind: 'photo' };
+    if (studentId.toString() === user.id || hasCapability(user.role, CAPABILITIES.VIEW_RESUMES)) {
+        return result;
+    }
+    if (hasCapability(user.role, CAPABILITIES.RECRUIT) && user.companyId) {
+        const application = await Application.findOne({ userId: studentId, companyId: user.companyId }).select('companyId');
+        if (application) return { ...result, application };
+    }
+    return { ...result, allowed: false };
+};
+
+// Check whether `user` (req.user) may open the resume stored at `key`: its owner always can,
+// staff with VIEW_RESUMES can open any resume, and recruiters only resumes submitted to their
+// company. Returns { found, allowed, studentId, application, kind } where `application` is the
+// submission that granted a recruiter access. Profile photos follow the same rules, with a
+// recruiter allowed once the student has applied to their company; `kind` is 'resume' or 'photo'.
+const checkResumeAccess = async (user, key) => {
+    const [owner, applications, photoOwner] = await Promise.all([
+        Student.findOne({ $or: [{ defaultResume: key }, { 'resumes.key': key }] }).select('_id'),
+        Application.find({ resume: key }).select('userId companyId'),
+        Student.findOne({ 'details.photo': key }).select('_id')
+    ]);
+    if (!owner && !applications.length) {
+        return photoOwner ? checkPhotoAccess(user, photoOwner._id) : { found: false, allowed: false };
+    }
+
+    const studentId = owner?._id || applications[0].userId;
+    const result = { found: true, allowed: true, studentId, kind: 'resume' };
+
+    if (studentId.toString() === user.id || applications.some(a => a.userId.toString() === user.id)) {
+        return result;
+    }
+    if (hasCapability(user.role, CAPABILITIES.VIEW_RESUMES)) {
+        return result;
+    }
+    if (hasCapability(user.role, CAPABILITIES.RECRUIT) && user.companyId) {
+        const application = applications.find(a => a.companyId?.toString() === user.companyId);
+        if (application) return { ...result, application };
+    }
+    return { ...result, allowed: false };
+};
+
+// Record resumes (and photos) handed to the requesting user. `entries` are
+// { key, kind, student, application, company }.
+// Logging never fails the request it belongs to.
+const logResumeAccess = async (req, entries, via) => {
+    if (!entries.length) return;
+    try {
+        await ResumeAccessLog.insertMany(entries.map(entry => ({
+            ...entry,
+            viewer: req.user.id,
+            viewerRole: req.user.role,
+            via,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        })), { ordered: false });
+    } catch (err) {
+        console.error('Failed to write resume access log:', err);
+    }
+};
+
+// Log the resumes of a zip or resume book download (applicants from loadBundleApplicants)
+const logBundleAccess = (req, applicants, via) => logResumeAccess(req, applicants
+    .filter(a => a.resume)
+    .map(a => ({ key: a.resume, student: a.studentId, application: a.applicationId, company: a.companyId })), via);
+
+module.exports = {
+    RESUME_LINK_TTL_SECONDS,
+    checkResumeAccess,
+    logResumeAccess,
+    logBundleAccess
+};
@@ -0,0 +1,203 @@
+// Resume book: one PDF per company with a cover page, a table of contents and every applicant's
+// resume in roll-number order, bookmarked by applicant. Built with pdf-lib from the stored files.
+const { PDFDocument, PDFHexString, PDFName, StandardFonts, rgb } = require('pdf-lib');
+const { storage } = require('./storage');
+const { MAX_PDF_BYTES } = require('./resumeText');
+
+const PAGE_SIZE = [595.28, 841.89]; // A4
+const MARGIN = 56;
+const TOC_ROW_HEIGHT = 18;
+const TOC_TOP = PAGE_SIZE[1] - MARGIN - 40;
+const TOC_ROWS_PER_PAGE = Math.floor((TOC_TOP - MARGIN) / TOC_ROW_HEIGHT);
+const GREY = rgb(0.4, 0.4, 0.4);
+
+// A book is built in memory, so one download is capped by applicants and by the total size of the
+// resumes read into it; larger selections should be narrowed with filters or use the zip bundle
+const MAX_BOOK_APPLICANTS = parseInt(process.env.RESUME_BOOK_MAX_APPLICANTS, 10) || 500;
+const MAX_BOOK_BYTES = (parseInt(process.env.RESUME_BOOK_MAX_MB, 10) || 200) * 1024 * 1024;
+const TOO_LARGE_HINT = 'Narrow it down with ?status=, ?postingId=, ?course= or ?year=, or download the resumes zip instead.';
+
+// The standard fonts only cover Latin-1; strip accents and replace anything else
+const pdfText = (value) => (value ?? '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+// Shorten text with an ellipsis so it fits in maxWidth
+const fitText = (text, font, size, maxWidth) => {
+    if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+    let fitted = text;
+    while (fitted && font.widthOfTextAtSize(`${fitted}...`, size) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}...`;
+};
+
+// Copy each applicant's resume into the book. Returns { entries } with one entry per applicant
+// holding the index of its first page or a note explaining why the resume is missing, or
+// { error } once the resumes add up to more than MAX_BOOK_BYTES.
+const appendResumes = async (book, applicants) => {
+    const entries = [];
+    let totalBytes = 0;
+    for (const applicant of applicants) {
+        const entry = { applicant, pageIndex: null, note: null };
+        entries.push(entry);
+        if (!applicant.resume) {
+            entry.note = 'no resume';
+            continue;
+        }
+        try {
+            const bytes = await storage.readBuffer(applicant.resume, MAX_PDF_BYTES);
+            totalBytes += bytes.length;
+            if (totalBytes > MAX_BOOK_BYTES) {
+                return { error: `The resumes add up to more than ${MAX_BOOK_BYTES / (1024 * 1024)} MB, the limit for one resume book. ${TOO_LARGE_HINT}` };
+            }
+            if (bytes.subarray(0, 5).toString() !== '%PDF-') {
+                entry.note = 'not a PDF';
+                continue;
+            }
+            const source = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+            if (source.isEncrypted) {
+                entry.note = 'password protected';
+                continue;
+            }
+            const pages = await book.copyPages(source, source.getPageIndices());
+            entry.pageIndex = book.getPageCount();
+            pages.forEach(page => book.addPage(page));
+        } catch (err) {
+            console.error(`Skipping resume ${applicant.resume} in resume book:`, err.message);
+            entry.note = 'could not be read';
+        }
+    }
+    return { entries };
+};
+
+const drawCover = (page, fonts, { companyName, statuses, entries }) => {
+    const [width, height] = PAGE_SIZE;
+    const included = entries.filter(e => e.pageIndex !== null).length;
+    const lines = [
+        [fonts.bold, 30, 'Resume Book'],
+        [fonts.regular, 20, fitText(pdfText(companyName), fonts.regular, 20, width - 2 * MARGIN)],
+        [fonts.regular, 12, `${entries.length} applicant${entries.length === 1 ? '' : 's'}, ${included} resume${included === 1 ? '' : 's'} included`],
+        [fonts.regular, 12, statuses.length ? `Status: ${statuses.join(', ')}` : 'All active applications'],
+        [fonts.regular, 12, `Generated ${new Date().toISOString().slice(0, 10)}`]
+    ];
+    let y = height * 0.62;
+    for (const [font, size, text] of lines) {
+        page.drawText(text, { x: MARGIN, y, size, font, color: size < 20 ? GREY : undefined });
+        y -= size * 2;
+    }
+};
+
+// Table of contents rows link to each applicant's first page
+const drawContents = (book, tocPages, fonts, entries) => {
+    const [width] = PAGE_SIZE;
+    const size = 10;
+    const columns = { rollNo: MARGIN, name: MARGIN + 90, course: MARGIN + 300, page: width - MARGIN };
+
+    tocPages.forEach((page, pageNo) => {
+        page.drawText(pageNo === 0 ? 'Contents' : 'Contents (continued)', { x: MARGIN, y: PAGE_SIZE[1] - MARGIN - 10, size: 16, font: fonts.bold });
+
+        const rows = entries.slice(pageNo * TOC_ROWS_PER_PAGE, (pageNo + 1) * TOC_ROWS_PER_PAGE);
+        const links = [];
+        rows.forEach((entry, i) => {
+            const y = TOC_TOP - i * TOC_ROW_HEIGHT;
+            const { applicant } = entry;
+            const pageLabel = entry.pageIndex === null ? entry.note : String(entry.pageIndex + 1);
+            const font = entry.pageIndex === null ? fonts.italic : fonts.regular;
+
+            page.drawText(fitText(pdfText(applicant.rollNo || '-'), fonts.regular, size, columns.name - columns.rollNo - 8), { x: columns.rollNo, y, size, font: fonts.regular });
+            page.drawText(fitText(pdfText(applicant.name), fonts.regular, size, columns.course - columns.name - 8), { x: columns.name, y, size, font: fonts.regular });
+            page.drawText(fitText(pdfText(applicant.course || ''), fonts.regular, size, 120), { x: columns.course, y, size, font: fonts.regular, color: GREY });
+            page.drawText(pageLabel, { x: columns.page - font.widthOfTextAtSize(pageLabel, size), y, size, font, color: entry.pageIndex === null ? GREY : undefined });
+
+            if (entry.pageIndex !== null) {
+                links.push(book.context.register(book.context.obj({
+                    Type: 'Annot',
+                    Subtype: 'Link',
+                    Rect: [MARGIN, y - 4, width - MARGIN, y + size + 2],
+                    Border: [0, 0, 0],
+                    Dest: [book.getPage(entry.pageIndex).ref, 'XYZ', null, null, null]
+                })));
+            }
+        });
+        if (links.length) {
+            page.node.set(PDFName.of('Annots'), book.context.obj(links));
+        }
+    });
+};
+
+// Flat outline: cover, contents, then one bookmark per included resume
+const addBookmarks = (book, bookmarks) => {
+    const { context } = book;
+    const outlinesRef = context.nextRef();
+    const refs = bookmarks.map(() => context.nextRef());
+
+    bookmarks.forEach(({ title, pageIndex }, i) => {
+        context.assign(refs[i], context.obj({
+            Title: PDFHexString.fromText(title),
+            Parent: outlinesRef,
+            Dest: [book.getPage(pageIndex).ref, 'XYZ', null, null, null],
+            ...(i > 0 && { Prev: refs[i - 1] }),
+            ...(i < refs.length - 1 && { Next: refs[i + 1] })
+        }));
+    });
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: refs[0],
+        Last: refs[refs.length - 1],
+        Count: refs.length
+    }));
+
+    book.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    book.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+// Build the resume book for a company's applicants (already filtered and in roll-number order,
+// see loadBundleApplicants). `statuses` is only shown on the cover. Returns { pdf } with the PDF
+// bytes, or { error } when the book would be over its limits.
+const buildResumeBook = async (companyName, applicants, { statuses = [] } = {}) => {
+    if (applicants.length > MAX_BOOK_APPLICANTS) {
+        return { error: `${applicants.length} applicants match; a resume book holds at most ${MAX_BOOK_APPLICANTS}. ${TOO_LARGE_HINT}` };
+    }
+
+    const book = await PDFDocument.create();
+    book.setTitle(`${companyName} - Resume Book`);
+    book.setCreator('Placement Portal');
+
+    const { entries, error } = await appendResumes(book, applicants);
+    if (error) return { error };
+
+    // Cover and contents go in front once the resume page numbers are known
+    const tocPageCount = Math.max(1, Math.ceil(entries.length / TOC_ROWS_PER_PAGE));
+    const frontPageCount = 1 + tocPageCount;
+    const cover = book.insertPage(0, PAGE_SIZE);
+    const tocPages = Array.from({ length: tocPageCount }, (_, i) => book.insertPage(1 + i, PAGE_SIZE));
+    entries.forEach(entry => {
+        if (entry.pageIndex !== null) entry.pageIndex += frontPageCount;
+    });
+
+    const fonts = {
+        regular: await book.embedFont(StandardFonts.Helvetica),
+        bold: await book.embedFont(StandardFonts.HelveticaBold),
+        italic: await book.embedFont(StandardFonts.HelveticaOblique)
+    };
+    drawCover(cover, fonts, { companyName, statuses, entries });
+    drawContents(book, tocPages, fonts, entries);
+
+    addBookmarks(book, [
+        { title: 'Cover', pageIndex: 0 },
+        { title: 'Contents', pageIndex: 1 },
+        ...entries
+            .filter(entry => entry.pageIndex !== null)
+            .map(({ applicant, pageIndex }) => ({
+                title: applicant.rollNo ? `${applicant.rollNo} - ${applicant.name}` : applicant.name,
+                pageIndex
+            }))
+    ]);
+
+    return { pdf: await book.save() };
+};
+
+module.exports = { buildResumeBook };
@@ -0,0 +1,134 @@
+// Resume bundles for recruiters: applicants in roll-number order with readable file names
+// (<rollNo>_<name>.pdf), streamed from storage into a zip with an index.csv
+const path = require('path');
+const archiver = require('archiver');
+const Application = require('../models/application');
+const { buildApplicantPipeline } = require('./applicants');
+const { APPLICATION_STATUSES } = require('./applicationStatus');
+const { buildSheetBuffer } = require('./spreadsheet');
+const { storage } = require('./storage');
+
+// Applications bundled when ?status= is not given
+const BUNDLE_STATUSES = APPLICATION_STATUSES.filter(s => s !== 'withdrawn');
+
+// File-name safe text: ASCII letters, digits, dots and dashes; anything else becomes "_"
+const safeName = (value, fallback = 'file') => (value || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9.-]+/g, '_')
+    .replace(/^[_.]+|_+$/g, '') || fallback;
+
+// Applicants of a company (every company when companyId is null) in roll-number order, each with
+// a unique `fileName`. Takes the applicant listing filters (?status=, ?postingId=, ?course=,
+// ?year=); withdrawn applications are left out unless ?status= asks for them.
+// `folderFor(applicant)` optionally puts files in per-applicant folders. Returns { applicants } or { error }.
+const loadBundleApplicants = async (companyId, query = {}, { folderFor } = {}) => {
+    const { pipeline, error } = buildApplicantPipeline(companyId, {
+        ...query,
+        status: query.status || BUNDLE_STATUSES.join(','),
+        sortBy: 'rollNo',
+        order: 'asc'
+    });
+    if (error) return { error };
+
+    const applicants = await Application.aggregate(pipeline);
+
+    const used = new Set();
+    for (const applicant of applicants) {
+        const ext = path.extname(applicant.resume || '').toLowerCase() || '.pdf';
+        const folder = folderFor ? `${folderFor(applicant)}/` : '';
+        const base = `${safeName(applicant.rollNo, 'NO_ROLL')}_${safeName(applicant.name, 'student')}`;
+        let fileName = `${folder}${base}${ext}`;
+        // Students who applied to several postings get one file per application
+        for (let n = 2; used.has(fileName.toLowerCase()); n++) {
+            fileName = `${folder}${base}_${n}${ext}`;
+        }
+        used.add(fileName.toLowerCase());
+        applicant.fileName = fileName;
+    }
+
+    return { applicants };
+};
+
+// Resolve once the archive has taken in the whole entry; rejects if the source stream fails
+const appendAndWait = (archive, stream, data) => new Promise((resolve, reject) => {
+    const cleanup = () => {
+        archive.off('entry', onEntry);
+        stream.off('error', onError);
+    };
+    const onEntry = () => {
+        cleanup();
+        resolve();
+    };
+    const onError = (err) => {
+        cleanup();
+        reject(err);
+    };
+    archive.on('entry', onEntry);
+    stream.on('error', onError);
+    archive.append(stream, data);
+});
+
+// Stream a zip of the applicants' resumes to the response. Files are read from storage one at a
+// time, so memory use stays flat however large the bundle is. Resumes that cannot be read are
+// marked "missing" in index.csv instead of failing the download.
+const streamResumeZip = async (res, applicants, { filename, companyNames } = {}) => {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    let aborted = false;
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            aborted = true;
+            archive.abort();
+        }
+    });
+    archive.on('warning', (err) => console.warn('Resume zip warning:', err));
+    archive.on('error', (err) => {
+        console.error('Error building resume zip:', err);
+        res.destroy(err);
+    });
+    archive.pipe(res);
+
+    const indexRows = [];
+    for (const applicant of applicants) {
+        if (aborted) return;
+
+        let file = 'missing';
+        if (applicant.resume) {
+            try {
+                const stream = await storage.getStream(applicant.resume);
+                // PDFs barely compress; storing them saves CPU
+                await appendAndWait(archive, stream, { name: applicant.fileName, store: true });
+                file = applicant.fileName;
+            } catch (err) {
+                console.error(`Skipping resume ${applicant.resume} in zip:`, err.message);
+            }
+        }
+
+        indexRows.push({
+            'Roll No': applicant.rollNo || '',
+            'Name': applicant.name,
+            'Email': applicant.email,
+            'Course': applicant.course || '',
+            'Graduation Year': applicant.graduationYear || '',
+            ...(companyNames && { 'Company': companyNames.get(String(applicant.companyId)) || '' }),
+            'Role': applicant.postingTitle || '',
+            'Status': applicant.status,
+            'Applied At': applicant.appliedAt ? new Date(applicant.appliedAt).toISOString() : '',
+            'File': file
+        });
+    }
+    if (aborted) return;
+
+    archive.append(buildSheetBuffer(indexRows, 'csv', 'Applicants'), { name: 'index.csv' });
+    await archive.finalize();
+};
+
+module.exports = {
+    safeName,
+    loadBundleApplicants,
+    streamResumeZip
+};
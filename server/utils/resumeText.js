@@ -0,0 +1,84 @@
+// Local PDF text extraction for resume search. Uploads are queued here and indexed one at a
+// time in the background, so requests never wait for parsing.
+const { PDFParse } = require('pdf-parse');
+const ResumeText = require('../models/resumeText');
+const { storage } = require('./storage');
+
+// Resumes are capped at 5MB on upload; anything much larger is not a resume
+const MAX_PDF_BYTES = 20 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 100000;
+
+// Extract plain text from a PDF buffer; returns { text, pages }
+const extractPdfText = async (buffer) => {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const result = await parser.getText({ pageJoiner: '' });
+        const text = result.text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+        return { text: text.slice(0, MAX_TEXT_LENGTH), pages: result.total };
+    } finally {
+        await parser.destroy();
+    }
+};
+
+// Statuses that re-reading the same file would not change; 'failed' records are retried
+const FINAL_STATUSES = ['indexed', 'empty', 'unsupported'];
+
+// Extract and store the text of one stored resume. Keys with a final status are skipped unless
+// `force` is set. Returns the ResumeText document.
+const indexResume = async (key, userId, { force = false } = {}) => {
+    if (!force) {
+        const existing = await ResumeText.findOne({ key, status: { $in: FINAL_STATUSES } });
+        if (existing) return existing;
+    }
+
+    const record = { key, userId, text: '', pages: undefined, error: undefined, extractedAt: new Date() };
+    try {
+        const buffer = await storage.readBuffer(key, MAX_PDF_BYTES);
+        if (buffer.subarray(0, 5).toString() !== '%PDF-') {
+            record.status = 'unsupported';
+        } else {
+            const { text, pages } = await extractPdfText(buffer);
+            record.text = text;
+            record.pages = pages;
+            // Scanned resumes have no text layer
+            record.status = text ? 'indexed' : 'empty';
+        }
+    } catch (err) {
+        record.status = 'failed';
+        record.error = err.message;
+    }
+
+    return ResumeText.findOneAndUpdate({ key }, record, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+const queue = [];
+let draining = false;
+
+const drain = async () => {
+    if (draining) return;
+    draining = true;
+    while (queue.length) {
+        const { key, userId } = queue.shift();
+        try {
+            await indexResume(key, userId);
+        } catch (err) {
+            console.error(`Failed to index resume ${key}:`, err);
+        }
+    }
+    draining = false;
+};
+
+// Index a newly stored resume in the background
+const queueResumeIndexing = (key, userId) => {
+    if (!key) return;
+    queue.push({ key, userId });
+    drain();
+};
+
+module.exports = {
+    FINAL_STATUSES,
+    MAX_PDF_BYTES,
+    extractPdfText,
+    indexResume,
+    queueResumeIndexing
+};
@@ -0,0 +1,142 @@
+const { storage, newKey } = require('./storage');
+const Student = require('../models/students');
+const Application = require('../models/application');
+const ResumeText = require('../models/resumeText');
+const { queueResumeIndexing } = require('./resumeText');
+
+// Every resume lives under this storage folder
+const RESUME_FOLDER = 'placement/resumes';
+
+// How many named resumes a student may keep in their library
+const MAX_RESUMES = parseInt(process.env.MAX_RESUMES_PER_STUDENT, 10) || 10;
+
+// Store an uploaded resume (multer file) and queue its text for search; returns { key, size }
+const storeResume = async (file, { userId } = {}) => {
+    const key = newKey(RESUME_FOLDER, file.mimetype, 'resume');
+    const { size } = await storage.put(key, file.path, { contentType: file.mimetype });
+    queueResumeIndexing(key, userId);
+    return { key, size: size ?? file.size };
+};
+
+// The student's resume library. Accounts from before the library only have defaultResume,
+// which is adopted as an entry here (the caller saves the student if it changed).
+const getResumeLibrary = (student) => {
+    if (student.defaultResume && !student.resumes.some(r => r.key === student.defaultResume)) {
+        student.resumes.push({ name: 'Resume', key: student.defaultResume, uploadedAt: student.updatedAt || new Date() });
+    }
+    return student.resumes;
+};
+
+// Store an uploaded file as a named library entry, optionally making it the default.
+// Returns { resume } or { error } (the caller saves the student).
+const addResumeToLibrary = async (student, file, name, { makeDefault = false } = {}) => {
+    const library = getResumeLibrary(student);
+    const resumeName = (name || file.originalname.replace(/\.[^.]+$/, '') || 'Resume').toString().trim().slice(0, 60);
+
+    if (library.some(r => r.name.toLowerCase() === resumeName.toLowerCase())) {
+        return { error: `You already have a resume named "${resumeName}"` };
+    }
+    if (library.length >= MAX_RESUMES) {
+        return { error: `You can keep at most ${MAX_RESUMES} resumes; delete one first` };
+    }
+
+    const { key, size } = await storeResume(file, { userId: student._id });
+    library.push({ name: resumeName, key, size, uploadedAt: new Date() });
+    if (makeDefault || !student.defaultResume) {
+        student.defaultResume = key;
+    }
+    return { resume: library[library.length - 1] };
+};
+
+// Upload a new version of the default resume: the default library entry gets the new file
+// (and `name`, if given). Students without a default get a new entry instead.
+// Returns { resume, replacedKey } or { error }; the caller saves the student and then
+// deletes replacedKey with destroyUnsharedResumes, as applications may still use it.
+const replaceDefaultResume = async (student, file, name) => {
+    const library = getResumeLibrary(student);
+    const current = library.find(r => r.key === student.defaultResume);
+    if (!current) {
+        const { resume, error } = await addResumeToLibrary(student, file, name, { makeDefault: true });
+        return { resume, error };
+    }
+
+    const resumeName = name ? name.toString().trim().slice(0, 60) : current.name;
+    if (library.some(r => r !== current && r.name.toLowerCase() === resumeName.toLowerCase())) {
+        return { error: `You already have a resume named "${resumeName}"` };
+    }
+
+    const replacedKey = current.key;
+    const { key, size } = await storeResume(file, { userId: student._id });
+    current.name = resumeName;
+    current.key = key;
+    current.size = size;
+    current.uploadedAt = new Date();
+    student.defaultResume = key;
+    return { resume: current, replacedKey };
+};
+
+// API path that issues a signed download link for a stored resume after checking the viewer
+// (GET /api/resumes/link/<key>, see routes/resumeRoutes.js), or null when there is none
+const resumeLink = (key) => (key ? `/api/resumes/link/${key.split('/').map(encodeURIComponent).join('/')}` : null);
+
+// Best-effort deletion of stored resumes.
+// Only keys in the resume folder are touched; returns counts for the response.
+const destroyResumes = async (resumeKeys = []) => {
+    // Extra safety: only delete from the intended folder
+    const keys = [...new Set(resumeKeys.filter(key => key && key.startsWith(`${RESUME_FOLDER}/`)))];
+
+    let resumesDeleted = 0;
+    const destroyTasks = keys.map(key =>
+        storage.delete(key)
+            .then(() => {
+                resumesDeleted++;
+            })
+            .catch(() => {
+                // Log error but continue
+                console.error(`Failed to delete stored resume: ${key}`);
+            })
+    );
+    await Promise.allSettled(destroyTasks);
+
+    // Drop the extracted text along with the files
+    if (keys.length) {
+        await ResumeText.deleteMany({ key: { $in: keys } }).catch(() => {});
+    }
+
+    return { resumesRequested: keys.length, resumesDeleted };
+};
+
+// Delete resumes that are going away, except files still in use elsewhere: a student's
+// default or library resume (reused when applying) or an application's resume. The documents
+// that are themselves being removed or replaced are passed in `ignore` so they don't count as users.
+const destroyUnsharedResumes = async (resumeKeys = [], { ignoreApplicationIds = [], ignoreStudentIds = [] } = {}) => {
+    const keys = [...new Set(resumeKeys.filter(Boolean))];
+    if (!keys.length) return { resumesRequested: 0, resumesDeleted: 0, resumesKept: 0 };
+
+    const [students, applications] = await Promise.all([
+        Student.find({
+            $or: [{ defaultResume: { $in: keys } }, { 'resumes.key': { $in: keys } }],
+            _id: { $nin: ignoreStudentIds }
+        }).select('defaultResume resumes.key'),
+        Application.find({ resume: { $in: keys }, _id: { $nin: ignoreApplicationIds } }).select('resume')
+    ]);
+    const shared = new Set([
+        ...students.flatMap(s => [s.defaultResume, ...s.resumes.map(r => r.key)]),
+        ...applications.map(app => app.resume)
+    ].filter(key => keys.includes(key)));
+
+    const result = await destroyResumes(keys.filter(key => !shared.has(key)));
+    return { ...result, resumesKept: shared.size };
+};
+
+module.exports = {
+    RESUME_FOLDER,
+    MAX_RESUMES,
+    storeResume,
+    getResumeLibrary,
+    addResumeToLibrary,
+    replaceDefaultResume,
+    resumeLink,
+    destroyResumes,
+    destroyUnsharedResumes
+};
@@ -0,0 +1,230 @@
+// Boolean keyword queries for resume search, e.g.
+//   react AND (internship OR intern) -php "machine learning" node*
+// Words next to each other are ANDed; OR, AND and NOT are keywords (upper case), a leading "-"
+// negates, "quoted phrases" match as a whole and a trailing * matches any word ending.
+// Matching is case-insensitive on whole words, so "java" does not match "javascript".
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 30;
+
+const escapeRegex = (str = '') => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word regex for a term; letters and digits around it must not continue the word
+const termRegex = (value, prefix) => {
+    const body = value.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}${prefix ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])'}`, 'giu');
+};
+
+const tokenize = (query) => {
+    const tokens = [];
+    const pattern = /\s*(\(|\)|-?"[^"]*"?|[^\s()"]+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        tokens.push(match[1]);
+    }
+    return tokens;
+};
+
+// Parse a query into a tree of { type: 'and' | 'or', children }, { type: 'not', child } and
+// { type: 'term', value, regex } nodes. Returns { ast, terms } or { error }.
+const parseSearchQuery = (query) => {
+    const text = (query || '').toString().trim();
+    if (!text) return { error: 'Search query is required' };
+    if (text.length > MAX_QUERY_LENGTH) return { error: `Search query must be at most ${MAX_QUERY_LENGTH} characters` };
+
+    const tokens = tokenize(text);
+    const terms = [];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const fail = (message) => {
+        throw Object.assign(new Error(message), { isQueryError: true });
+    };
+
+    const parseTerm = (token) => {
+        const phrase = token.startsWith('"');
+        let value = phrase ? token.replace(/^"|"$/g, '') : token;
+        const prefix = !phrase && value.endsWith('*');
+        value = value.replace(/\*+$/, '');
+        if (!value.trim()) fail(`Empty search term "${token}"`);
+        const node = { type: 'term', value, phrase, prefix, regex: termRegex(value, prefix) };
+        terms.push(node);
+        if (terms.length > MAX_TERMS) fail(`Search query can have at most ${MAX_TERMS} terms`);
+        return node;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token === undefined) fail('Search query ends unexpectedly');
+        if (token === 'NOT') {
+            pos++;
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token === '(') {
+            pos++;
+            const node = parseOr();
+            if (peek() !== ')') fail('Missing closing parenthesis');
+            pos++;
+            return node;
+        }
+        if (token === ')' || token === 'AND' || token === 'OR') fail(`Unexpected "${token}"`);
+        pos++;
+        if (token.startsWith('-') && token.length > 1) {
+            return { type: 'not', child: parseTerm(token.slice(1)) };
+        }
+        return parseTerm(token);
+    };
+
+    const parseAnd = () => {
+        const children = [parseUnary()];
+        while (peek() !== undefined && peek() !== ')' && peek() !== 'OR') {
+            if (peek() === 'AND') pos++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() === 'OR') {
+            pos++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    try {
+        const ast = parseOr();
+        if (pos < tokens.length) fail(`Unexpected "${tokens[pos]}"`);
+        return { ast, terms: collectPositiveTerms(ast) };
+    } catch (err) {
+        if (err.isQueryError) return { error: err.message };
+        throw err;
+    }
+};
+
+// Terms whose matches count towards the result (everything not under a NOT)
+const collectPositiveTerms = (node, negated = false, out = []) => {
+    if (node.type === 'term') {
+        if (!negated) out.push(node);
+    } else if (node.type === 'not') {
+        collectPositiveTerms(node.child, !negated, out);
+    } else {
+        node.children.forEach(child => collectPositiveTerms(child, negated, out));
+    }
+    return out;
+};
+
+const hasMatch = (regex, text) => {
+    regex.lastIndex = 0;
+    return regex.test(text);
+};
+
+// Whether `text` satisfies the parsed query
+const matchesQuery = (node, text) => {
+    switch (node.type) {
+        case 'term': return hasMatch(node.regex, text);
+        case 'not': return !matchesQuery(node.child, text);
+        case 'and': return node.children.every(child => matchesQuery(child, text));
+        default: return node.children.some(child => matchesQuery(child, text));
+    }
+};
+
+// What any text matching the query must contain, as a tree of 'and'/'or' nodes over the query's
+// term nodes. NOT parts cannot narrow a search and are dropped, so the condition is necessary but
+// not sufficient; matchesQuery still decides. Returns null when nothing narrows the search
+// (e.g. a query of only NOT terms).
+const necessaryCondition = (node) => {
+    if (node.type === 'term') return node;
+    if (node.type === 'not') return null;
+    const children = node.children.map(necessaryCondition);
+    if (node.type === 'and') {
+        const required = children.filter(Boolean);
+        if (!required.length) return null;
+        return required.length === 1 ? required[0] : { type: 'and', children: required };
+    }
+    return children.some(child => !child) ? null : { type: 'or', children };
+};
+
+// Evaluate a necessaryCondition tree, asking `hasTerm(term)` for each term node
+const evaluateCondition = (node, hasTerm) => {
+    if (node.type === 'term') return hasTerm(node);
+    if (node.type === 'and') return node.children.every(child => evaluateCondition(child, hasTerm));
+    return node.children.some(child => evaluateCondition(child, hasTerm));
+};
+
+// Term nodes of a necessaryCondition tree
+const conditionTerms = (node, out = []) => {
+    if (node.type === 'term') out.push(node);
+    else node.children.forEach(child => conditionTerms(child, out));
+    return out;
+};
+
+// Case-insensitive pattern for a term in database queries. It ignores word boundaries, so it
+// matches everything the term's own regex matches and a little more.
+const databasePattern = (term) => term.value.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+
+// Number of matches of the positive terms, used to rank results
+const countMatches = (terms, text) => terms.reduce((total, term) => {
+    term.regex.lastIndex = 0;
+    return total + (text.match(term.regex) || []).length;
+}, 0);
+
+const escapeHtml = (str) => str.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Up to `maxSnippets` excerpts of `text` around matches of `terms`, HTML-escaped with the
+// matches wrapped in <mark>
+const highlight = (terms, text, { maxSnippets = 3, context = 60 } = {}) => {
+    const ranges = [];
+    for (const term of terms) {
+        term.regex.lastIndex = 0;
+        let match;
+        while ((match = term.regex.exec(text)) !== null && ranges.length < 200) {
+            ranges.push([match.index, match.index + match[0].length]);
+            if (!match[0].length) term.regex.lastIndex++;
+        }
+    }
+    if (!ranges.length) return [];
+
+    // Merge overlapping matches, then group nearby ones into snippet windows
+    ranges.sort((a, b) => a[0] - b[0]);
+    const marks = [];
+    for (const range of ranges) {
+        const last = marks[marks.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else marks.push([...range]);
+    }
+
+    const windows = [];
+    for (const mark of marks) {
+        const last = windows[windows.length - 1];
+        if (last && mark[0] - context <= last.end) {
+            last.end = Math.min(text.length, mark[1] + context);
+            last.marks.push(mark);
+        } else {
+            if (windows.length === maxSnippets) break;
+            windows.push({ start: Math.max(0, mark[0] - context), end: Math.min(text.length, mark[1] + context), marks: [mark] });
+        }
+    }
+
+    return windows.map(({ start, end, marks: inWindow }) => {
+        let out = start > 0 ? '…' : '';
+        let cursor = start;
+        for (const [from, to] of inWindow) {
+            out += escapeHtml(text.slice(cursor, from)) + '<mark>' + escapeHtml(text.slice(from, to)) + '</mark>';
+            cursor = to;
+        }
+        out += escapeHtml(text.slice(cursor, end)) + (end < text.length ? '…' : '');
+        return out.replace(/\s+/g, ' ');
+    });
+};
+
+module.exports = {
+    parseSearchQuery,
+    matchesQuery,
+    necessaryCondition,
+    evaluateCondition,
+    conditionTerms,
+    databasePattern,
+    countMatches,
+    highlight
+};
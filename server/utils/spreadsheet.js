@@ -0,0 +1,89 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const xlsx = require('xlsx');
+
+const SHEET_FORMATS = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Build a CSV or XLSX file from an array of flat row objects
+const buildSheetBuffer = (rows, format = 'csv', sheetName = 'Sheet1') => {
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(rows);
+    xlsx.utils.book_append_sheet(workbook, worksheet, sheetName);
+    return xlsx.write(workbook, { type: 'buffer', bookType: format });
+};
+
+// Send rows to the client as a downloadable CSV or XLSX attachment
+const sendSheet = (res, rows, { format = 'csv', filename = 'export', sheetName } = {}) => {
+    const buffer = buildSheetBuffer(rows, format, sheetName);
+    res.setHeader('Content-Type', SHEET_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    return res.status(200).send(buffer);
+};
+
+// Parse a CSV file into row objects keyed by header
+const parseCSVFile = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const results = [];
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', (data) => results.push(data))
+            .on('end', () => resolve(results))
+            .on('error', (error) => reject(error));
+    });
+};
+
+// Read the first sheet of an Excel file into row objects keyed by header
+const readSheetRows = (filePath) => {
+    const workbook = xlsx.readFile(filePath);
+    const sheetName = workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[sheetName];
+
+    // defval ensures empty cells become empty strings rather than undefined
+    return xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+};
+
+// Read an uploaded CSV or Excel file by its extension; returns null for unsupported formats
+const readUploadedRows = async (filePath, originalName = '') => {
+    const fileExtension = originalName.split('.').pop().toLowerCase();
+    if (fileExtension === 'csv') return parseCSVFile(filePath);
+    if (fileExtension === 'xlsx' || fileExtension === 'xls') return readSheetRows(filePath);
+    return null;
+};
+
+// Normalize and map multiple header variants to one field
+const pickField = (raw, candidates = []) => {
+    // exact match (case-insensitive, trim)
+    for (const c of candidates) {
+        const key = Object.keys(raw).find(k => k && k.toString().trim().toLowerCase() === c.toString().trim().toLowerCase());
+        if (key && raw[key] !== '') return String(raw[key]).trim();
+    }
+    // fuzzy match: compare normalized keys (lowercase, remove non-alnum)
+    const normMap = Object.keys(raw).reduce((acc, k) => {
+        acc[k.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, '')] = raw[k];
+        return acc;
+    }, {});
+    for (const c of candidates) {
+        const nc = c.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (nc && normMap[nc] !== undefined && normMap[nc] !== '') return String(normMap[nc]).trim();
+    }
+    return '';
+};
+
+// Header variants shared by every upload that identifies students
+const EMAIL_HEADERS = ['email', 'e-mail', 'mail'];
+const ROLL_NO_HEADERS = ['rollNo', 'roll no', 'roll', 'roll_number', 'rollno'];
+
+module.exports = {
+    SHEET_FORMATS,
+    EMAIL_HEADERS,
+    ROLL_NO_HEADERS,
+    buildSheetBuffer,
+    sendSheet,
+    parseCSVFile,
+    readSheetRows,
+    readUploadedRows,
+    pickField
+};
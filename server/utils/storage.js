@@ -0,0 +1,266 @@
+// File storage behind one interface, with the driver chosen by STORAGE_DRIVER:
+// - cloudinary: private raw uploads on Cloudinary (default when CLOUDINARY_CLOUD_NAME is set);
+//               they have no public URL and are only reachable through signed links
+// - local:      files under STORAGE_LOCAL_DIR (default server/storage), for offline development
+// Other drivers can be added with registerDriver(name, driver).
+//
+// Records store the storage key (e.g. "placement/resumes/resume-123.pdf"), never a URL.
+// Every driver implements:
+//   put(key, filePath, { contentType }) -> { key, size }
+//   getStream(key)                      -> readable stream (error code 'ENOENT' when missing)
+//   delete(key)                         -> true if a file was removed
+//   signedUrl(key, { expiresIn, filename }) -> URL valid for expiresIn seconds
+//   list(prefix)                        -> [{ key, size, lastModified }]
+// storage.readBuffer(key, maxBytes) reads a whole file through getStream for any driver.
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+const notFound = (key) => Object.assign(new Error(`Stored file not found: ${key}`), { code: 'ENOENT' });
+
+// Keys are relative POSIX paths; anything that could escape the storage root is refused
+const assertValidKey = (key) => {
+    const normalized = path.posix.normalize(key || '');
+    if (!key || normalized !== key || key.startsWith('/') || key.split('/').includes('..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+};
+
+// Cloudinary delivery type for stored files; 'private' files can only be fetched with a signed URL
+const CLOUDINARY_TYPE = 'private';
+
+const cloudinaryDriver = () => {
+    const cloudinary = require('./cloudinary');
+
+    const downloadUrl = (key, expiresIn, filename) => cloudinary.utils.private_download_url(assertValidKey(key), '', {
+        resource_type: 'raw',
+        type: CLOUDINARY_TYPE,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+        ...(filename && { attachment: filename })
+    });
+
+    return {
+        put: async (key, filePath) => {
+            const result = await cloudinary.uploader.upload(filePath, {
+                public_id: assertValidKey(key),
+                resource_type: 'raw',
+                type: CLOUDINARY_TYPE,
+                overwrite: false
+            });
+            return { key: result.public_id, size: result.bytes };
+        },
+
+        getStream: async (key) => {
+            const response = await fetch(downloadUrl(key, 60));
+            if (response.status === 404) throw notFound(key);
+            if (!response.ok) throw new Error(`Cloudinary responded ${response.status} for ${key}`);
+            return Readable.fromWeb(response.body);
+        },
+
+        delete: async (key) => {
+            const result = await cloudinary.uploader.destroy(assertValidKey(key), { resource_type: 'raw', type: CLOUDINARY_TYPE, invalidate: true });
+            return result?.result === 'ok';
+        },
+
+        signedUrl: async (key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename } = {}) => downloadUrl(key, expiresIn, filename),
+
+        list: async (prefix = '') => {
+            const files = [];
+            let nextCursor;
+            do {
+                const page = await cloudinary.api.resources({
+                    type: CLOUDINARY_TYPE,
+                    resource_type: 'raw',
+                    prefix,
+                    max_results: 500,
+                    next_cursor: nextCursor
+                });
+                for (const r of page.resources) {
+                    files.push({ key: r.public_id, size: r.bytes, lastModified: new Date(r.created_at) });
+                }
+                nextCursor = page.next_cursor;
+            } while (nextCursor);
+            return files;
+        }
+    };
+};
+
+// Local files are served by GET /api/files/<key>?expires=&signature= (routes/fileRoutes.js)
+const signLocal = (key, expires) => crypto
+    .createHmac('sha256', process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || '')
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+// Check a local signed URL's parameters; returns true when valid and unexpired
+const verifyLocalSignature = (key, expires, signature) => {
+    const expiresAt = Number(expires);
+    if (!signature || !Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(signLocal(key, expiresAt));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const localDriver = () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage'));
+    const resolve = (key) => path.join(root, ...assertValidKey(key).split('/'));
+
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const files = [];
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await walk(full));
+            } else {
+                const stat = await fsp.stat(full);
+                files.push({
+                    key: path.relative(root, full).split(path.sep).join('/'),
+                    size: stat.size,
+                    lastModified: stat.mtime
+                });
+            }
+        }
+        return files;
+    };
+
+    return {
+        put: async (key, filePath) => {
+            const target = resolve(key);
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+            await fsp.copyFile(filePath, target, fs.constants.COPYFILE_EXCL);
+            const { size } = await fsp.stat(target);
+            return { key, size };
+        },
+
+        getStream: async (key) => {
+            const target = resolve(key);
+            try {
+                await fsp.access(target);
+            } catch {
+                throw notFound(key);
+            }
+            return fs.createReadStream(target);
+        },
+
+        delete: async (key) => {
+            try {
+                await fsp.unlink(resolve(key));
+                return true;
+            } catch (err) {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            }
+        },
+
+        signedUrl: async (key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename } = {}) => {
+            assertValidKey(key);
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const params = new URLSearchParams({ expires, signature: signLocal(key, expires) });
+            if (filename) params.set('filename', filename);
+            const base = (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '');
+            return `${base}/api/files/${key.split('/').map(encodeURIComponent).join('/')}?${params}`;
+        },
+
+        list: async (prefix = '') => {
+            const files = await walk(root);
+            return files.filter(f => f.key.startsWith(prefix));
+        }
+    };
+};
+
+const driverFactories = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver
+};
+const drivers = {};
+
+const registerDriver = (name, driver) => {
+    driverFactories[name] = () => driver;
+    delete drivers[name];
+};
+
+const getDriverName = () => (process.env.STORAGE_DRIVER
+    || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).trim().toLowerCase();
+
+// The configured driver, created on first use
+const getDriver = () => {
+    const name = getDriverName();
+    if (!drivers[name]) {
+        const factory = driverFactories[name];
+        if (!factory) {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}". Available: ${Object.keys(driverFactories).join(', ')}`);
+        }
+        drivers[name] = factory();
+    }
+    return drivers[name];
+};
+
+// The file types that are stored, by the extension their keys get. Keys take the extension of
+// the validated content type, never of the client's file name, so a stored file is always
+// served as one of these types.
+const STORED_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+// Unique key for a new file of contentType in `folder`
+const newKey = (folder, contentType, prefix = 'file') => {
+    const ext = Object.keys(STORED_TYPES).find(e => STORED_TYPES[e] === contentType);
+    if (!ext) throw new Error(`Unsupported file type: ${contentType}`);
+    return `${folder}/${prefix}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`;
+};
+
+// Content type to serve a stored file with; keys with any other extension are plain binary
+const contentTypeForKey = (key) => {
+    const ext = path.extname(key).toLowerCase();
+    return STORED_TYPES[ext === '.jpeg' ? '.jpg' : ext] || 'application/octet-stream';
+};
+
+// Read a stored file into memory, refusing files over maxBytes
+const readBuffer = async (key, maxBytes) => {
+    const stream = await getDriver().getStream(key);
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            stream.destroy();
+            throw new Error(`Stored file is larger than ${maxBytes} bytes: ${key}`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+const storage = {
+    put: (key, filePath, options) => getDriver().put(key, filePath, options),
+    getStream: (key) => getDriver().getStream(key),
+    readBuffer,
+    delete: (key) => getDriver().delete(key),
+    signedUrl: (key, options) => getDriver().signedUrl(key, options),
+    list: (prefix) => getDriver().list(prefix)
+};
+
+module.exports = {
+    storage,
+    newKey,
+    contentTypeForKey,
+    registerDriver,
+    getDriverName,
+    verifyLocalSignature,
+    CLOUDINARY_TYPE,
+    DEFAULT_URL_TTL_SECONDS
+};
@@ -0,0 +1,103 @@
+// Row normalisation and validation for student bulk import. CSV and Excel uploads both go
+// through normalizeStudentRow, so the same header variants work for either format.
+const { EMAIL_HEADERS, ROLL_NO_HEADERS, pickField } = require('./spreadsheet');
+const { APPLICANT_ROLES } = require('../config/permissions');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Academic fields an upsert may overwrite on an existing student
+const UPDATABLE_DETAILS = ['semester', 'course', 'graduationYear', 'cgpa', 'activeBacklogs'];
+
+// Map one raw sheet row (any header spelling) to import fields; every value is a trimmed string
+const normalizeStudentRow = (raw) => ({
+    name: pickField(raw, ['name', 'full name', 'student name']),
+    email: pickField(raw, EMAIL_HEADERS).toLowerCase(),
+    rollNo: pickField(raw, ROLL_NO_HEADERS),
+    role: (pickField(raw, ['role']) || 'student').toLowerCase(),
+    semester: pickField(raw, ['semester', 'sem']),
+    course: pickField(raw, ['course']),
+    graduationYear: pickField(raw, ['graduationYear', 'graduation year', 'graduation_year', 'graduation']),
+    cgpa: pickField(raw, ['cgpa', 'gpa', 'cpi']),
+    activeBacklogs: pickField(raw, ['activeBacklogs', 'active backlogs', 'backlogs']),
+    defaultResume: pickField(raw, ['defaultResume', 'resume'])
+});
+
+// Validate a normalised row and convert its values to schema types.
+// Returns { student, errors }; details only hold the fields present in the row.
+const validateStudentRow = (row) => {
+    const errors = [];
+
+    if (!row.name) errors.push('Missing name');
+    if (!row.email) {
+        errors.push('Missing email');
+    } else if (!EMAIL_PATTERN.test(row.email)) {
+        errors.push(`Invalid email '${row.email}'`);
+    }
+
+    // Staff roles are granted through /users/role, never by import.
+    // Old sheets still say 'coordinator', which now means a student coordinator
+    const role = row.role === 'coordinator' ? 'student_coordinator' : row.role;
+    if (!APPLICANT_ROLES.includes(role)) {
+        errors.push(`Invalid role '${row.role}'. Must be one of: ${APPLICANT_ROLES.join(', ')}`);
+    }
+
+    const details = {};
+    if (row.rollNo) details.rollNo = row.rollNo;
+    if (row.semester) details.semester = row.semester;
+    if (row.course) details.course = row.course;
+    if (row.graduationYear) {
+        const year = Number(row.graduationYear);
+        if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+            errors.push(`Invalid graduation year '${row.graduationYear}'`);
+        } else {
+            details.graduationYear = year;
+        }
+    }
+    if (row.cgpa) {
+        const cgpa = Number(row.cgpa);
+        if (isNaN(cgpa) || cgpa < 0 || cgpa > 10) {
+            errors.push(`Invalid CGPA '${row.cgpa}'. Must be between 0 and 10`);
+        } else {
+            details.cgpa = cgpa;
+        }
+    }
+    if (row.activeBacklogs) {
+        const backlogs = Number(row.activeBacklogs);
+        if (!Number.isInteger(backlogs) || backlogs < 0) {
+            errors.push(`Invalid active backlogs '${row.activeBacklogs}'`);
+        } else {
+            details.activeBacklogs = backlogs;
+        }
+    }
+
+    return {
+        errors,
+        student: {
+            name: row.name,
+            email: row.email,
+            role,
+            details,
+            defaultResume: row.defaultResume || undefined
+        }
+    };
+};
+
+// Fields of `details` that an upsert would change on `existing`, as { field: { from, to } }
+const diffStudentDetails = (existing, details) => {
+    const changes = {};
+    for (const field of UPDATABLE_DETAILS) {
+        if (details[field] === undefined) continue;
+        const current = existing.details?.[field];
+        if (current !== details[field]) {
+            changes[field] = { from: current ?? null, to: details[field] };
+        }
+    }
+    return changes;
+};
+
+module.exports = {
+    UPDATABLE_DETAILS,
+    normalizeStudentRow,
+    validateStudentRow,
+    diffStudentDetails
+};
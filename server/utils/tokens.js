@@ -0,0 +1,138 @@
+// Access/refresh token handling shared by the auth controller and middleware
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const Student = require('../models/students');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    console.error('FATAL: JWT_SECRET is not set. Set process.env.JWT_SECRET and restart.');
+    // Throw so app won't start silently with insecure default
+    throw new Error('Missing required environment variable: JWT_SECRET');
+}
+
+// Short-lived access tokens; the refresh token is what keeps a user logged in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `tv` is the user's tokenVersion: bumping it invalidates every token issued before
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        id: user._id.toString(),
+        role: user.role,
+        isProfileCompleted: !!user.profileIsCompleted,
+        sid: sessionId.toString(),
+        tv: user.tokenVersion || 0
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Limited token for accounts that must change their password first: it carries no session
+// and is only accepted by the change-password route
+const PASSWORD_CHANGE_SCOPE = 'password-change';
+const signPasswordChangeToken = (user) => jwt.sign(
+    {
+        id: user._id.toString(),
+        role: user.role,
+        scope: PASSWORD_CHANGE_SCOPE,
+        tv: user.tokenVersion || 0
+    },
+    JWT_SECRET,
+    { expiresIn: '15m' }
+);
+
+const verifyAccessToken = (token, options = {}) => jwt.verify(token, JWT_SECRET, options);
+
+const clientInfo = (req) => ({
+    createdByIp: req?.ip,
+    userAgent: req?.get ? req.get('User-Agent') : undefined
+});
+
+// Start a new session for a user; returns the token pair to send to the client
+const issueSession = async (user, req) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        ...clientInfo(req)
+    });
+
+    return {
+        accessToken: signAccessToken(user, session._id),
+        refreshToken,
+        accessTokenExpiresIn: ACCESS_TOKEN_TTL,
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session._id
+    };
+};
+
+// Exchange a refresh token for a new token pair, revoking the old one.
+// Presenting an already rotated token means it leaked, so every session of that user is revoked.
+// Returns { tokens, user } or { error }.
+const rotateRefreshToken = async (refreshToken, req) => {
+    const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+    if (!session) return { error: 'Invalid refresh token' };
+
+    if (session.revokedAt) {
+        if (session.replacedBy) {
+            await revokeUserSessions(session.userId, 'refresh token reuse detected');
+        }
+        return { error: 'Refresh token has been revoked' };
+    }
+    if (session.expiresAt <= new Date()) return { error: 'Refresh token expired' };
+
+    const user = await Student.findById(session.userId);
+    if (!user) return { error: 'Invalid refresh token' };
+
+    const tokens = await issueSession(user, req);
+    session.revokedAt = new Date();
+    session.revokedReason = 'rotated';
+    session.replacedBy = tokens.sessionId;
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    return { tokens, user };
+};
+
+// Revoke one session (logout)
+const revokeSession = (sessionId, reason = 'logout') => Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Revoke every session of a user and invalidate their outstanding access tokens
+// (used on logout from all devices, password changes and role changes)
+const revokeUserSessions = async (userId, reason) => {
+    await Promise.all([
+        Session.updateMany(
+            { userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        ),
+        Student.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+    ]);
+};
+
+// Is the session behind an access token still usable?
+const isSessionActive = async (sessionId) => {
+    if (!sessionId) return false;
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    PASSWORD_CHANGE_SCOPE,
+    hashToken,
+    signAccessToken,
+    signPasswordChangeToken,
+    verifyAccessToken,
+    issueSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    isSessionActive
+};
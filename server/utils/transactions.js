@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Standalone MongoDB servers (no replica set) have no transactions
+const isTransactionUnsupported = (error) =>
+    error.code === 20 || /replica set|Transaction numbers/i.test(error.message || '');
+
+// Run `work(session)` in a transaction. Where the server has no transactions, `work(null)` runs
+// on its own instead, so callers that write more than once should undo earlier writes when a
+// later one fails and `session` is null. Returns { result, transactional }.
+const runInTransaction = async (work) => {
+    try {
+        const result = await mongoose.connection.transaction(session => work(session));
+        return { result, transactional: true };
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+    }
+    return { result: await work(null), transactional: false };
+};
+
+module.exports = { isTransactionUnsupported, runInTransaction };